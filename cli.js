@@ -0,0 +1,391 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const AdmZip = require('adm-zip');
+const { createUploader } = require('./lib/uploaders');
+const { normalizeOutputs } = require('./lib/outputs');
+const { normalizeFitOptions } = require('./lib/textfit');
+const { normalizeImageOptions } = require('./lib/images');
+const { normalizeBarcodeOptions } = require('./lib/barcodes');
+const { normalizeNamingOptions } = require('./lib/filenames');
+const { normalizeMapping } = require('./lib/mapping');
+const { readFontFile } = require('./lib/fonts');
+const templates = require('./lib/templates');
+const { detectFormat, readData } = require('./lib/datasources');
+const { getBrowserPool, generateBanners, validateBanners, writeReports, getInvalidRows } = require('./lib/generator');
+const { readPreviousRun, getRetryRows } = require('./lib/incremental');
+const { normalizeTemplateList, resolveTemplateList, normalizeTemplateBy } = require('./lib/variants');
+
+// --- COMMAND LINE ---
+// Batch generation without the server, for scheduled jobs and pipelines. Runs the same engine
+// as /api/generate (lib/generator.js) and writes what a job's session folder holds: one folder
+// per output format (or per row, with --templates), the report (in the data file's format), manifest.json and, with --zip,
+// banners.zip. Running again into the same --out reuses the rows that haven't changed since the
+// last run there (see lib/incremental.js).
+//
+// Exit codes: 0 every row rendered (and uploaded), 1 bad arguments or the job failed outright,
+// 2 some rows failed or were skipped, 3 no row succeeded, 130 interrupted.
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_PARTIAL = 2;
+const EXIT_FAILED = 3;
+const EXIT_INTERRUPTED = 130;
+
+const USAGE = `Usage: node cli.js (--svg <file> | --template <id> | --templates <json>) --data <file> --out <dir> [options]
+
+Input
+  --svg <file>               SVG template
+  --template <id>            Saved template from the library, instead of --svg
+  --template-version <n>     Version of the saved template (default: current)
+  --data <file>              Rows to render: .csv, .tsv, .json, .jsonl or .xlsx
+  --data-format <format>     csv, tsv, json, jsonl or xlsx, when the extension doesn't say
+  --sheet <name|n>           Excel sheet, by name or 1-based number (default: the first)
+  --mapping <json>           Element id -> column, or -> { column, attribute, condition },
+                             as a JSON file or inline JSON
+                             (default with --template: the saved mapping)
+  --templates <json>         Several templates, every row rendered with each, as a JSON file or
+                             inline JSON: [{"key":"post","file":"post.svg","mapping":{...}},
+                             {"key":"story","templateId":"3f9a1c0d2b7e"}] (files relative to
+                             the JSON file), instead of --svg, --template and --mapping
+  --template-by <column>     With --templates, render each row with the one template its column
+                             picks by key or name, or {"column","values","default"} as JSON
+
+Output
+  --out <dir>                Output folder, created if missing
+  --format <list>            Comma-separated formats: png, jpeg, webp, svg, pdf (default: png)
+  --scale <n>                Scale factor for raster formats (default: 3)
+  --width <px>               Target width for raster formats, instead of --scale
+  --quality <1-100>          JPEG/WebP quality (default: 90)
+  --outputs <json>           Full output list, as in the API (overrides the four above)
+  --name-pattern <pattern>   File name pattern, e.g. "{{sku}}_{{product_name}}"
+  --zip                      Also write banners.zip with everything in --out
+
+Rendering
+  --rows <list>              Only these rows, 1-based: "1-10,15"
+  --concurrency <n>          Pages rendering at once (default: RENDER_CONCURRENCY)
+  --fit <json>               Text fitting options, as in the API
+  --images <json>            Image options, as in the API
+  --barcodes <json>          Barcode options, as in the API: {"errorCorrection":"H","quietZone":4}
+  --font <file>              Font file (TTF, OTF, WOFF, WOFF2) for the SVG's font-family names;
+                             repeat for more (a saved template's own fonts are always used)
+  --skip-invalid             Dry-run first and leave out rows with errors
+  --force                    Render every row, even ones unchanged since the last run in --out
+  --retry-failed             Only the rows that failed or never finished in the last run in --out,
+                             keeping the rest (give the same options as that run)
+
+Upload (off unless asked for)
+  --upload                   Upload with the default provider from upload.config.json
+  --upload-provider <name>   Upload with this provider
+
+  --verbose                  Show the engine's own log
+  --help                     Show this help
+
+Exit codes: 0 all rows done, 1 error, 2 some rows failed or skipped, 3 every row failed, 130 interrupted`;
+
+const ARGS = {
+    svg: { type: 'string' },
+    template: { type: 'string' },
+    'template-version': { type: 'string' },
+    data: { type: 'string' },
+    'data-format': { type: 'string' },
+    sheet: { type: 'string' },
+    mapping: { type: 'string' },
+    templates: { type: 'string' },
+    'template-by': { type: 'string' },
+    out: { type: 'string' },
+    format: { type: 'string' },
+    scale: { type: 'string' },
+    width: { type: 'string' },
+    quality: { type: 'string' },
+    outputs: { type: 'string' },
+    'name-pattern': { type: 'string' },
+    zip: { type: 'boolean' },
+    rows: { type: 'string' },
+    concurrency: { type: 'string' },
+    fit: { type: 'string' },
+    images: { type: 'string' },
+    barcodes: { type: 'string' },
+    font: { type: 'string', multiple: true },
+    'skip-invalid': { type: 'boolean' },
+    force: { type: 'boolean' },
+    'retry-failed': { type: 'boolean' },
+    upload: { type: 'boolean' },
+    'upload-provider': { type: 'string' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean' }
+};
+
+class UsageError extends Error { }
+
+// --retry-failed: the rows of the last run in the output folder that failed or never finished
+function readRetryRows(outputDir) {
+    const previous = readPreviousRun(path.resolve(outputDir));
+    if (!previous) throw new UsageError(`--retry-failed: no manifest.json from an earlier run in "${outputDir}"`);
+    return getRetryRows(previous);
+}
+
+// JSON given inline or as a path to a .json file
+function readJsonArgument(value, flag) {
+    const source = value.trim().startsWith('{') || value.trim().startsWith('[') ? value : null;
+    try {
+        return JSON.parse(source !== null ? source : fs.readFileSync(value, 'utf8'));
+    } catch (e) {
+        throw new UsageError(`--${flag}: ${source !== null || fs.existsSync(value) ? e.message : `no such file "${value}"`}`);
+    }
+}
+
+// "1-10,15" -> [0, 1, ..., 9, 14] (CSV row indexes)
+function parseRows(value) {
+    const indexes = new Set();
+    value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const range = part.match(/^(\d+)(?:-(\d+))?$/);
+        const from = range && Number(range[1]);
+        const to = range && (range[2] ? Number(range[2]) : from);
+        if (!range || from < 1 || to < from) throw new UsageError(`--rows: "${part}" is not a row number or range like 1-10`);
+        for (let n = from; n <= to; n++) indexes.add(n - 1);
+    });
+    if (indexes.size === 0) throw new UsageError('--rows: no rows given');
+    return Array.from(indexes).sort((a, b) => a - b);
+}
+
+function parsePositive(value, flag) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new UsageError(`--${flag} must be a whole number of at least 1`);
+    return n;
+}
+
+// --templates: the template list (see lib/variants.js), its files relative to the JSON file, or
+// to the current folder when given inline. Returns { templates, templateBy, warnings }.
+function readTemplateList(args, columns) {
+    if (args.mapping) throw new UsageError('--mapping: with --templates, each entry has its own mapping');
+    const inline = /^\s*\[/.test(args.templates);
+    const base = inline ? process.cwd() : path.dirname(path.resolve(args.templates));
+    const findFile = (name) => {
+        const file = path.resolve(base, name);
+        return fs.existsSync(file) ? file : null;
+    };
+
+    let list, templateBy;
+    try {
+        list = normalizeTemplateList(readJsonArgument(args.templates, 'templates'));
+        const by = args['template-by'];
+        templateBy = normalizeTemplateBy(by && by.trim().startsWith('{') ? readJsonArgument(by, 'template-by') : by, list.map(entry => entry.key));
+        if (templateBy && !columns.includes(templateBy.column)) throw new UsageError(`--template-by: "${templateBy.column}" is not a column of the data`);
+        return { templateBy, ...resolveTemplateList(list, columns, findFile) };
+    } catch (e) {
+        throw e instanceof UsageError ? e : new UsageError(e.message);
+    }
+}
+
+// Resolves the arguments into what generateBanners needs. A saved template's stored options fill
+// in whatever isn't given on the command line, as they do for /api/generate.
+async function readSettings(args) {
+    if ([args.svg, args.template, args.templates].filter(Boolean).length !== 1) throw new UsageError('Give one of --svg, --template or --templates');
+    if (args['template-by'] && !args.templates) throw new UsageError('--template-by picks one of --templates');
+    if (!args.data) throw new UsageError('--data is required');
+    if (!args.out) throw new UsageError('--out is required');
+    if (args['retry-failed'] && (args.rows || args.force)) throw new UsageError('--retry-failed picks its own rows; leave out --rows and --force');
+    if (args.svg && !fs.existsSync(args.svg)) throw new UsageError(`--svg: no such file "${args.svg}"`);
+    if (!fs.existsSync(args.data)) throw new UsageError(`--data: no such file "${args.data}"`);
+
+    let data, columns;
+    try {
+        data = { path: args.data, format: detectFormat(args.data, args['data-format']), sheet: args.sheet };
+        ({ columns } = await readData(data));
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+
+    const warnings = [];
+    const variants = args.templates ? readTemplateList(args, columns) : { templates: null, templateBy: null, warnings: [] };
+    warnings.push(...variants.warnings);
+    let saved = null;
+    if (args.template) {
+        saved = templates.loadTemplateForJob(args.template, args['template-version'], columns);
+    }
+    const stored = saved ? saved.options : {};
+
+    let mapping = args.mapping ? readJsonArgument(args.mapping, 'mapping') : {};
+    if (saved && !args.mapping) {
+        mapping = saved.mapping;
+        warnings.push(...saved.warnings);
+    }
+
+    let outputs = stored.outputs;
+    if (args.outputs) {
+        outputs = readJsonArgument(args.outputs, 'outputs');
+    } else if (args.format || args.scale || args.width || args.quality) {
+        outputs = (args.format || 'png').split(',').map(format => ({
+            format: format.trim(),
+            scale: args.scale,
+            width: args.width,
+            quality: args.quality
+        }));
+    }
+
+    const fonts = [...(saved ? saved.fonts : []), ...(args.font || [])];
+    (args.font || []).forEach(file => {
+        if (!fs.existsSync(file)) throw new UsageError(`--font: no such file "${file}"`);
+        try {
+            readFontFile(file);
+        } catch (e) {
+            throw new UsageError(`--font: ${e.message}`);
+        }
+    });
+
+    const upload = args.upload || args['upload-provider']
+        ? { ...stored.upload, ...(args['upload-provider'] ? { provider: args['upload-provider'] } : {}) }
+        : { provider: 'none' };
+
+    try {
+        return {
+            svgPath: saved ? saved.svgPath : args.svg || null,
+            templates: variants.templates,
+            templateBy: variants.templateBy,
+            data,
+            outputDir: path.resolve(args.out),
+            mapping: variants.templates ? null : normalizeMapping(mapping),
+            warnings,
+            uploader: createUploader(upload),
+            outputs: normalizeOutputs(outputs),
+            fit: normalizeFitOptions(args.fit ? readJsonArgument(args.fit, 'fit') : stored.fit || {}),
+            images: normalizeImageOptions(args.images ? readJsonArgument(args.images, 'images') : stored.images || {}),
+            barcodes: normalizeBarcodeOptions(args.barcodes ? readJsonArgument(args.barcodes, 'barcodes') : stored.barcodes || {}),
+            fonts,
+            naming: normalizeNamingOptions(args['name-pattern'] ? { pattern: args['name-pattern'] } : stored.naming || {}),
+            onlyRows: args['retry-failed'] ? readRetryRows(args.out) : args.rows ? parseRows(args.rows) : null,
+            concurrency: args.concurrency ? parsePositive(args.concurrency, 'concurrency') : null,
+            skipInvalid: Boolean(args['skip-invalid']),
+            reuse: !args.force,
+            retry: Boolean(args['retry-failed']),
+            zip: Boolean(args.zip)
+        };
+    } catch (e) {
+        throw e instanceof UsageError ? e : new UsageError(e.message);
+    }
+}
+
+const say = (line) => process.stdout.write(`${line}\n`);
+const warn = (line) => process.stderr.write(`${line}\n`);
+
+async function run(args) {
+    const settings = await readSettings(args);
+    const { svgPath, templates: templateList, templateBy, data, outputDir, mapping, uploader, outputs, fit, images, barcodes, fonts, naming, onlyRows, concurrency, retry } = settings;
+    settings.warnings.forEach(message => warn(`Warning: ${message}`));
+    if (retry && onlyRows.length === 0) {
+        say(`No failed rows to retry in ${outputDir}`);
+        return EXIT_OK;
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    // Sized before anything renders: the pool is created on first use
+    if (concurrency) getBrowserPool({ size: concurrency });
+
+    // Ctrl+C stops after the rows in flight; the report still covers what finished
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+        warn('Interrupted, finishing the rows in flight...');
+        controller.abort();
+    });
+
+    const createdAt = new Date().toISOString();
+    const skipRows = settings.skipInvalid
+        ? getInvalidRows(await validateBanners(svgPath, data, mapping, { fit, images, barcodes, fonts, naming, templates: templateList, templateBy }))
+        : new Map();
+
+    let total = 0;
+    let done = 0;
+    const result = await generateBanners(svgPath, data, outputDir, mapping, {
+        signal: controller.signal,
+        uploader,
+        outputs,
+        fit,
+        images,
+        barcodes,
+        fonts,
+        naming,
+        templates: templateList,
+        templateBy,
+        skipRows,
+        onlyRows,
+        reuseFrom: settings.reuse ? () => outputDir : null,
+        retry,
+        ...(concurrency ? { concurrency } : {}),
+        onProgress: (event) => {
+            if (event.type === 'start') {
+                total = event.total;
+                event.warnings.forEach(message => warn(`Warning: ${message}`));
+                say(`${retry ? 'Retrying' : 'Rendering'} ${total} rows to ${outputDir}`);
+                return;
+            }
+            if (!event.done) return;
+            done++;
+            const label = `[${done}/${total}] Row ${event.index + 1} (${event.name})`;
+            if (event.status === 'failed' || event.status === 'skipped') {
+                warn(`${label}: ${event.status === 'skipped' ? 'skipped' : `${event.stage} failed`}: ${event.error}`);
+            } else {
+                say(`${label}: ${event.uploadedUrl || event.fileName}${event.render === 'reused' ? ' (reused)' : ''}`);
+            }
+            (event.warnings || []).forEach(message => warn(`  Warning: ${message}`));
+        }
+    });
+
+    const report = await writeReports(outputDir, result, { jobId: null, sessionId: path.basename(outputDir), createdAt, naming, cancelled: result.cancelled });
+
+    if (settings.zip) {
+        const zip = new AdmZip();
+        fs.readdirSync(outputDir).filter(entry => entry !== 'banners.zip').forEach(entry => {
+            const entryPath = path.join(outputDir, entry);
+            if (fs.statSync(entryPath).isDirectory()) zip.addLocalFolder(entryPath, entry);
+            else zip.addLocalFile(entryPath);
+        });
+        zip.writeZip(path.join(outputDir, 'banners.zip'));
+    }
+
+    const succeeded = result.manifest.filter(row => row.status === 'rendered' || row.status === 'uploaded').length;
+    const failed = result.manifest.length - succeeded;
+    const { stats } = result;
+    // A retry's manifest also has the rows it kept from the last run
+    const rowCount = retry ? result.manifest.length : total;
+    const reused = stats.reusedRows > 0 ? ` (${stats.reusedRows} reused)` : '';
+    say(`${succeeded} of ${rowCount} rows done${reused}, ${failed} failed or skipped, in ${(stats.renderMs / 1000).toFixed(1)}s (${stats.rowsPerMinute} rows/min on ${stats.concurrency} pages)`);
+    say(`Report: ${path.join(outputDir, report)}`);
+    if (settings.zip) say(`ZIP: ${path.join(outputDir, 'banners.zip')}`);
+
+    if (result.cancelled) return EXIT_INTERRUPTED;
+    if (failed === 0) return EXIT_OK;
+    return succeeded > 0 ? EXIT_PARTIAL : EXIT_FAILED;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({ options: ARGS, strict: true }).values;
+    } catch (e) {
+        warn(`${e.message}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+    if (args.help) {
+        say(USAGE);
+        return EXIT_OK;
+    }
+
+    // The engine logs every row for the server's console; the CLI prints its own summary lines
+    if (!args.verbose) {
+        console.log = () => { };
+        console.error = () => { };
+    }
+
+    try {
+        return await run(args);
+    } catch (e) {
+        warn(e instanceof UsageError ? `${e.message}\n\nRun with --help for the options.` : `Error: ${e.message}`);
+        return EXIT_ERROR;
+    } finally {
+        await getBrowserPool().close();
+    }
+}
+
+main().then(code => process.exit(code));
@@ -0,0 +1,126 @@
+const bwipjs = require('bwip-js');
+
+// --- BARCODES ---
+// QR codes, EAN-13 and Code 128 barcodes drawn from a column into a placeholder <rect> or
+// <image> (mapping attribute "qr", "ean13" or "code128", see lib/mapping.js). Symbols are
+// encoded here, locally, with bwip-js; the render page then draws them as plain SVG shapes
+// scaled to the placeholder's box, so they stay sharp in every output format. A value a
+// symbology can't hold (a bad EAN check digit, an emoji in Code 128) fails its row.
+
+const BARCODE_FORMATS = {
+    qr: { bcid: 'qrcode', label: 'QR code', quietZone: 4 },
+    ean13: { bcid: 'ean13', label: 'EAN-13', quietZone: 11 }, // Room for the leading digit
+    code128: { bcid: 'code128', label: 'Code 128', quietZone: 10 }
+};
+const ERROR_CORRECTION = ['L', 'M', 'Q', 'H'];
+const MAX_QUIET_ZONE = 20; // Modules
+const EAN_GUARDS = [0, 1, 14, 15, 28, 29]; // Start, centre and end guard bars hang lower than the rest
+
+const isBarcodeFormat = (format) => Object.prototype.hasOwnProperty.call(BARCODE_FORMATS, format);
+
+// Validates the job's barcode settings: { errorCorrection, quietZone, text }.
+// errorCorrection is the QR level (L 7%, M 15%, Q 25%, H 30% of the code can be damaged);
+// quietZone is the blank margin in modules (default: the symbology's own minimum);
+// text prints the digits under EAN-13 and Code 128 bars.
+function normalizeBarcodeOptions(options = {}) {
+    const errorCorrection = String(options.errorCorrection || 'M').toUpperCase();
+    if (!ERROR_CORRECTION.includes(errorCorrection)) {
+        throw new Error(`Barcodes: errorCorrection must be one of ${ERROR_CORRECTION.join(', ')}`);
+    }
+
+    let quietZone = null;
+    if (options.quietZone !== undefined && options.quietZone !== null && options.quietZone !== '') {
+        quietZone = Number(options.quietZone);
+        if (!Number.isInteger(quietZone) || quietZone < 0 || quietZone > MAX_QUIET_ZONE) {
+            throw new Error(`Barcodes: quietZone must be a whole number of modules from 0 to ${MAX_QUIET_ZONE}`);
+        }
+    }
+
+    return { errorCorrection, quietZone, text: options.text !== false };
+}
+
+const shorten = (text) => text.length > 40 ? `${text.slice(0, 40)}...` : text;
+
+// EAN-13 check digit for the first 12 digits
+function eanCheckDigit(digits) {
+    const sum = digits.slice(0, 12).split('').reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+    return String((10 - (sum % 10)) % 10);
+}
+
+// Checks what bwip-js would accept anyway, with messages a person filling in a spreadsheet can act on
+function checkValue(format, text) {
+    if (!text) throw new Error('is empty');
+    if (format === 'ean13') {
+        if (!/^\d{12,13}$/.test(text)) throw new Error(`EAN-13 needs 12 or 13 digits, got "${shorten(text)}"`);
+        if (text.length === 13 && text[12] !== eanCheckDigit(text)) {
+            throw new Error(`EAN-13 "${text}" has check digit ${text[12]}, expected ${eanCheckDigit(text)}`);
+        }
+    }
+    if (format === 'code128') {
+        const bad = text.match(/[^\x20-\x7e]/);
+        if (bad) throw new Error(`Code 128 only takes plain ASCII letters, digits and symbols, not "${bad[0]}"`);
+    }
+}
+
+// Encodes one value. Everything is measured in modules (the narrowest bar, or one QR square),
+// quiet zone included:
+//   QR:     { format, size, path }                  path: the dark squares, as one SVG path
+//   linear: { format, width, bars, text }           bars: [x, width, guard] (guard bars run into
+//                                                    the digits), text: [centre x, characters]
+// Throws with a reason when the value can't be encoded.
+function encodeBarcode(format, value, options = normalizeBarcodeOptions()) {
+    const spec = BARCODE_FORMATS[format];
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    checkValue(format, text);
+
+    let symbol;
+    try {
+        symbol = bwipjs.raw(spec.bcid, text, format === 'qr' ? { eclevel: options.errorCorrection } : {})[0];
+    } catch (e) {
+        // "bwipp.qrcodeNoValidSymbol#27236: Maximum length exceeded or invalid content"
+        throw new Error(`${spec.label} "${shorten(text)}": ${e.message.replace(/^bwip(?:p|-js)[^:]*:\s*/, '')}`);
+    }
+    const quietZone = options.quietZone !== null ? options.quietZone : spec.quietZone;
+
+    if (format === 'qr') {
+        // One subpath per run of dark squares in a row
+        let path = '';
+        for (let y = 0; y < symbol.pixy; y++) {
+            for (let x = 0; x < symbol.pixx; x++) {
+                if (!symbol.pixs[y * symbol.pixx + x]) continue;
+                let run = 1;
+                while (x + run < symbol.pixx && symbol.pixs[y * symbol.pixx + x + run]) run++;
+                path += `M${x + quietZone} ${y + quietZone}h${run}v1h-${run}z`;
+                x += run - 1;
+            }
+        }
+        return { format, size: symbol.pixx + 2 * quietZone, path };
+    }
+
+    // sbs alternates bar and space widths, starting with a bar
+    const bars = [];
+    let x = quietZone;
+    symbol.sbs.forEach((width, i) => {
+        if (i % 2 === 0) bars.push([x, width, format === 'ean13' && EAN_GUARDS.includes(i / 2)]);
+        x += width;
+    });
+    const barsWidth = x - quietZone;
+
+    let digits = [];
+    if (options.text && format === 'ean13') {
+        const full = text.length === 12 ? text + eanCheckDigit(text) : text;
+        // The first digit sits in the quiet zone, then six under each half (7 modules a digit,
+        // after the 3-module start guard and the 5-module centre guard)
+        digits = full.split('').map((digit, i) => {
+            if (i === 0) return [quietZone - 4, digit];
+            const offset = i <= 6 ? 3 + (i - 1) * 7 : 3 + 42 + 5 + (i - 7) * 7;
+            return [quietZone + offset + 3.5, digit];
+        });
+    } else if (options.text) {
+        digits = [[quietZone + barsWidth / 2, text]];
+    }
+
+    return { format, width: barsWidth + 2 * quietZone, bars, text: digits };
+}
+
+module.exports = { BARCODE_FORMATS, ERROR_CORRECTION, isBarcodeFormat, normalizeBarcodeOptions, encodeBarcode };
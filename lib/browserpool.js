@@ -0,0 +1,372 @@
+const fs = require('fs');
+const os = require('os');
+
+// --- BROWSER POOL ---
+// One long-lived Chromium shared by every job, instead of a launch per request. Jobs render
+// through sessions: each session has its own task queue and may hold up to `concurrency` pages,
+// set up once (template loaded, fonts ready) and reused for every row. The pool caps the pages
+// open across all sessions and hands free ones round-robin, so a second job starts rendering
+// while a long one is still running. A page that crashes (or takes the browser with it) is
+// replaced and its task retried; a browser whose memory grows past the limit is retired once
+// its pages finish and a fresh one takes over.
+
+const DEFAULT_SIZE = parseInt(process.env.RENDER_CONCURRENCY, 10) || Math.max(2, Math.min(4, os.cpus().length));
+const DEFAULT_MAX_MEMORY_MB = parseInt(process.env.BROWSER_MAX_MEMORY_MB, 10) || 1536;
+const DEFAULT_IDLE_MS = parseInt(process.env.BROWSER_IDLE_MS, 10) || 5 * 60 * 1000;
+const TASK_RETRIES = 1;
+const MEMORY_CHECK_EVERY = 10; // Tasks between memory checks of a browser
+const PROBE_TIMEOUT_MS = 5000;
+
+// Resident memory of a process and all its descendants (Chromium's renderers, GPU and
+// utility processes), in MB. null where /proc isn't available.
+function readProcessTreeMemory(rootPid) {
+    if (!rootPid || process.platform !== 'linux') return null;
+    try {
+        const children = new Map(); // pid -> child pids
+        fs.readdirSync('/proc').filter(entry => /^\d+$/.test(entry)).forEach(pid => {
+            try {
+                const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+                // Fields after the ")" that closes the command name: state, ppid, ...
+                const ppid = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+                if (!children.has(ppid)) children.set(ppid, []);
+                children.get(ppid).push(Number(pid));
+            } catch (e) {
+                // Exited while we were looking
+            }
+        });
+
+        let totalKb = 0;
+        const pending = [rootPid];
+        while (pending.length > 0) {
+            const pid = pending.pop();
+            try {
+                const rss = fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/^VmRSS:\s+(\d+)/m);
+                if (rss) totalKb += Number(rss[1]);
+            } catch (e) {
+                continue;
+            }
+            pending.push(...(children.get(pid) || []));
+        }
+        return Math.round(totalKb / 1024);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Whether a failed task took its page (or the whole browser) down with it, rather than failing on
+// its own. A renderer crash can surface as an ordinary navigation error before the page reports
+// it, so a page that looks fine is asked to evaluate something before it gets the next task.
+async function isCrash(err, worker) {
+    if (worker.crashed || worker.page.isClosed() || !worker.browser.instance.connected) return true;
+    if (/Target closed|Session closed|Connection closed|detached|crashed/i.test(err && err.message)) return true;
+
+    let timer;
+    try {
+        await Promise.race([
+            worker.page.evaluate(() => true),
+            new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error('page not responding')), PROBE_TIMEOUT_MS); })
+        ]);
+        return worker.crashed;
+    } catch (e) {
+        return true;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// options: { launch, size, maxMemoryMb, idleMs } - launch() resolves to a puppeteer Browser
+function createBrowserPool(options = {}) {
+    const {
+        launch,
+        size = DEFAULT_SIZE,
+        maxMemoryMb = DEFAULT_MAX_MEMORY_MB,
+        idleMs = DEFAULT_IDLE_MS
+    } = options;
+
+    let current = null; // { instance, pages, tasks, retiring } - the browser new pages open on
+    let launching = null;
+    let idleTimer = null;
+    let openPages = 0;
+    const waiting = []; // Sessions waiting for a page: { session, resolve }
+    const sessions = new Set();
+    const browsers = new Set(); // Every open browser, retiring ones included
+    const counters = { launches: 0, recycled: 0, crashes: 0 };
+
+    const closeBrowser = (browser) => {
+        if (current === browser) current = null;
+        browser.instance.close().catch(e => console.error('Browser close failed:', e.message));
+    };
+
+    const getBrowser = async () => {
+        if (current && !current.retiring && current.instance.connected) return current;
+        if (!launching) {
+            launching = (async () => {
+                const browser = { instance: await launch(), pages: 0, tasks: 0, retiring: false };
+                counters.launches++;
+                browsers.add(browser);
+                browser.instance.on('disconnected', () => {
+                    browsers.delete(browser);
+                    if (current === browser) current = null;
+                });
+                current = browser;
+                return browser;
+            })().finally(() => { launching = null; });
+        }
+        return launching;
+    };
+
+    // Retires a browser that has grown past maxMemoryMb: pages already open on it finish their
+    // current task, then move to a fresh browser
+    const checkMemory = (browser) => {
+        if (browser.retiring || browser.tasks % MEMORY_CHECK_EVERY !== 0) return;
+        const child = browser.instance.process();
+        const memoryMb = readProcessTreeMemory(child && child.pid);
+        if (memoryMb === null || memoryMb <= maxMemoryMb) return;
+
+        console.log(`Browser is using ${memoryMb}MB (limit ${maxMemoryMb}MB) after ${browser.tasks} tasks, recycling it`);
+        browser.retiring = true;
+        counters.recycled++;
+        if (current === browser) current = null;
+        if (browser.pages === 0) closeBrowser(browser);
+    };
+
+    const openPage = async () => {
+        const browser = await getBrowser();
+        const page = await browser.instance.newPage();
+        browser.pages++;
+        return { browser, page };
+    };
+
+    const closePage = async (worker) => {
+        const { browser, page } = worker;
+        if (!page) return;
+        worker.page = null;
+        browser.pages--;
+        if (!page.isClosed()) await page.close().catch(() => { });
+        if (browser.retiring && browser.pages === 0) closeBrowser(browser);
+    };
+
+    // Page slots: at most `size` pages are open across all sessions
+    const requestSlot = (session) => new Promise(resolve => {
+        clearTimeout(idleTimer);
+        if (openPages < size) {
+            openPages++;
+            resolve();
+            return;
+        }
+        waiting.push({ session, resolve });
+        // Sessions holding pages they aren't using give one up straight away
+        for (const other of sessions) {
+            if (other !== session && other.releaseIdle()) break;
+        }
+    });
+
+    const releaseSlot = () => {
+        const next = waiting.shift();
+        if (next) {
+            next.resolve();
+            return;
+        }
+        openPages--;
+        if (openPages === 0) {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                if (openPages === 0 && current) closeBrowser(current);
+            }, idleMs);
+            idleTimer.unref();
+        }
+    };
+
+    // A session holding more than its share of pages gives one back when another is waiting
+    const shouldYield = (session, held) => {
+        if (!waiting.some(entry => entry.session !== session)) return false;
+        const active = new Set([...waiting.map(entry => entry.session), ...Array.from(sessions).filter(s => s.pageCount() > 0)]);
+        return held > Math.ceil(size / active.size);
+    };
+
+    // options: { concurrency, setup } - setup(page) readies a fresh page (viewport, content, scripts)
+    // before its first task. run(task) queues task(page) and resolves to its result.
+    const createSession = ({ concurrency = size, setup = async () => { } } = {}) => {
+        const limit = Math.max(1, Math.min(concurrency, size));
+        const queue = []; // { task, resolve, reject, attempts }
+        const workers = new Set();
+        const idle = [];
+        let requested = 0;
+        let closed = false;
+        const stats = { tasks: 0, retries: 0, pagesOpened: 0, taskMs: 0 };
+
+        const retire = async (worker) => {
+            workers.delete(worker);
+            const index = idle.indexOf(worker);
+            if (index !== -1) idle.splice(index, 1);
+            await closePage(worker);
+            releaseSlot();
+        };
+
+        // Opens (or reopens) the worker's page on the current browser and runs setup on it
+        const preparePage = async (worker) => {
+            Object.assign(worker, await openPage(), { crashed: false });
+            worker.page.on('error', () => { worker.crashed = true; }); // Renderer crash
+            stats.pagesOpened++;
+            await setup(worker.page);
+        };
+
+        const addWorker = async () => {
+            requested++;
+            await requestSlot(session);
+            if (closed || queue.length === 0) {
+                requested--;
+                releaseSlot();
+                return;
+            }
+
+            const worker = { browser: null, page: null, crashed: false };
+            try {
+                await preparePage(worker);
+            } catch (err) {
+                // No page to run on: fail the task that asked for it rather than hang the queue
+                requested--;
+                await closePage(worker);
+                releaseSlot();
+                const entry = queue.shift();
+                if (entry) entry.reject(err);
+                pump();
+                return;
+            }
+            requested--;
+            workers.add(worker);
+            work(worker);
+        };
+
+        const work = async (worker) => {
+            while (queue.length > 0 && !closed) {
+                const entry = queue.shift();
+                const started = Date.now();
+                try {
+                    const result = await entry.task(worker.page);
+                    stats.tasks++;
+                    stats.taskMs += Date.now() - started;
+                    entry.resolve(result);
+                } catch (err) {
+                    if (!await isCrash(err, worker)) {
+                        stats.tasks++;
+                        stats.taskMs += Date.now() - started;
+                        entry.reject(err);
+                    } else {
+                        counters.crashes++;
+                        console.error(`Render page crashed (${err.message}), ${entry.attempts < TASK_RETRIES ? 'retrying on a new page' : 'giving up'}`);
+                        if (entry.attempts < TASK_RETRIES) {
+                            entry.attempts++;
+                            stats.retries++;
+                            queue.unshift(entry);
+                        } else {
+                            entry.reject(new Error(`Browser crashed: ${err.message}`));
+                        }
+                        try {
+                            await closePage(worker);
+                            await preparePage(worker);
+                        } catch (e) {
+                            await retire(worker).catch(() => { });
+                            pump();
+                            return;
+                        }
+                        continue;
+                    }
+                }
+
+                worker.browser.tasks++;
+                checkMemory(worker.browser);
+                if (shouldYield(session, workers.size)) break;
+                if (worker.browser.retiring) {
+                    try {
+                        await closePage(worker);
+                        await preparePage(worker);
+                    } catch (e) {
+                        await retire(worker).catch(() => { });
+                        pump();
+                        return;
+                    }
+                }
+            }
+
+            // Stopped early to yield, or nothing left to do while another session waits
+            if (closed || queue.length > 0 || waiting.some(entry => entry.session !== session)) {
+                await retire(worker);
+                pump();
+            } else {
+                idle.push(worker); // Kept for the session's next task
+            }
+        };
+
+        const pump = () => {
+            while (idle.length > 0 && queue.length > 0) work(idle.shift());
+            const wanted = Math.min(queue.length, limit - workers.size - requested);
+            for (let n = 0; n < wanted; n++) addWorker();
+        };
+
+        const session = {
+            run(task) {
+                if (closed) return Promise.reject(new Error('Render session is closed'));
+                return new Promise((resolve, reject) => {
+                    queue.push({ task, resolve, reject, attempts: 0 });
+                    pump();
+                });
+            },
+            pageCount: () => workers.size,
+            // Gives up one idle page for another session; true when there was one
+            releaseIdle() {
+                const worker = idle.shift();
+                if (!worker) return false;
+                retire(worker);
+                return true;
+            },
+            stats: () => ({ ...stats, concurrency: limit }),
+            async close() {
+                closed = true;
+                sessions.delete(session);
+                queue.splice(0).forEach(entry => entry.reject(new Error('Render session is closed')));
+                await Promise.all(idle.slice().map(retire));
+            }
+        };
+        sessions.add(session);
+        return session;
+    };
+
+    return {
+        size,
+        createSession,
+
+        // One-off task on a fresh page, e.g. the catalogue
+        async withPage(task) {
+            const session = createSession({ concurrency: 1 });
+            try {
+                return await session.run(task);
+            } finally {
+                await session.close();
+            }
+        },
+
+        // Shuts the browser down, e.g. when the server stops; pages still rendering fail
+        async close() {
+            clearTimeout(idleTimer);
+            if (launching) await launching.catch(() => { });
+            current = null;
+            await Promise.all(Array.from(browsers).map(browser => browser.instance.close().catch(() => { })));
+        },
+
+        status() {
+            const child = current && current.instance.process();
+            return {
+                size,
+                openPages,
+                waitingPages: waiting.length,
+                sessions: sessions.size,
+                browserMemoryMb: current ? readProcessTreeMemory(child && child.pid) : null,
+                maxMemoryMb,
+                ...counters
+            };
+        }
+    };
+}
+
+module.exports = { createBrowserPool };
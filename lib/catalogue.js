@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { createFontSet } = require('./fonts');
+
+// --- PDF CATALOGUE ---
+// Lays the rendered banners out on printable pages (N per page in a grid), optionally with a
+// cover page, one section per value of a CSV column, page numbers and an index at the back.
+// Every grid page has a fixed height, so the page each banner lands on is known up front and
+// the index can point at it without a second layout pass.
+
+const PAGE_SIZES = {
+    A4: { width: 210, height: 297 },
+    Letter: { width: 215.9, height: 279.4 }
+};
+
+const FOOTER_HEIGHT = 8; // mm reserved below the content for page numbers
+const SECTION_HEADER_HEIGHT = 12; // mm
+const CAPTION_HEIGHT = 7; // mm
+const FONT_FAMILIES = ['Poppins', 'Mukta']; // Bundled (see lib/fonts.js), so the page loads offline
+
+function normalizeCatalogueOptions(options = {}) {
+    const pageSize = Object.keys(PAGE_SIZES).find(size => size.toLowerCase() === String(options.pageSize || 'A4').toLowerCase());
+    if (!pageSize) throw new Error(`Catalogue: unsupported page size "${options.pageSize}" (use ${Object.keys(PAGE_SIZES).join(', ')})`);
+
+    const orientation = options.orientation === 'landscape' ? 'landscape' : 'portrait';
+
+    const toInt = (value, fallback, min, max, field) => {
+        if (value === undefined || value === null || value === '') return fallback;
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < min || n > max) throw new Error(`Catalogue: ${field} must be between ${min} and ${max}`);
+        return n;
+    };
+
+    return {
+        pageSize,
+        orientation,
+        columns: Math.round(toInt(options.columns, 2, 1, 6, 'columns')),
+        rows: Math.round(toInt(options.rows, 3, 1, 8, 'rows')),
+        margin: toInt(options.margin, 10, 0, 50, 'margin'),
+        groupBy: options.groupBy || '',
+        cover: options.cover === false ? false : {
+            title: (options.cover && options.cover.title) || 'Product Catalogue',
+            subtitle: (options.cover && options.cover.subtitle) || ''
+        },
+        captions: options.captions !== false,
+        pageNumbers: options.pageNumbers !== false,
+        index: options.index !== false
+    };
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Splits items into sections (in order of first appearance) and sections into pages
+function paginate(items, options) {
+    const perPage = options.columns * options.rows;
+    const sections = [];
+
+    items.forEach(item => {
+        const title = options.groupBy ? (String(item.row[options.groupBy] || '').trim() || 'Other') : '';
+        let section = sections.find(s => s.title === title);
+        if (!section) {
+            section = { title, items: [], pages: [] };
+            sections.push(section);
+        }
+        section.items.push(item);
+    });
+
+    let pageNumber = options.cover ? 1 : 0;
+    sections.forEach(section => {
+        for (let i = 0; i < section.items.length; i += perPage) {
+            pageNumber++;
+            const pageItems = section.items.slice(i, i + perPage);
+            pageItems.forEach(item => { item.page = pageNumber; });
+            section.pages.push({ number: pageNumber, items: pageItems, continued: i > 0 });
+        }
+    });
+
+    return sections;
+}
+
+function buildHtml(sections, options, itemCount) {
+    const size = PAGE_SIZES[options.pageSize];
+    const pageWidth = options.orientation === 'landscape' ? size.height : size.width;
+    const pageHeight = options.orientation === 'landscape' ? size.width : size.height;
+    const bottomMargin = options.margin + (options.pageNumbers ? FOOTER_HEIGHT : 0);
+
+    // Slightly under the printable area so rounding never spills a page onto the next one
+    const contentWidth = pageWidth - options.margin * 2;
+    const contentHeight = pageHeight - options.margin - bottomMargin - 0.5;
+    const headerHeight = options.groupBy ? SECTION_HEADER_HEIGHT : 0;
+
+    const renderPage = (section, page) => `
+        <section class="page">
+            ${options.groupBy ? `<h2 class="section-title">${escapeHtml(section.title)}${page.continued ? ' <span>(continued)</span>' : ''}</h2>` : ''}
+            <div class="grid">
+                ${page.items.map(item => `
+                    <figure>
+                        <div class="banner"><img src="${escapeHtml(item.src)}"></div>
+                        ${options.captions ? `<figcaption>${escapeHtml(item.name)}</figcaption>` : ''}
+                    </figure>
+                `).join('')}
+            </div>
+        </section>
+    `;
+
+    const cover = options.cover ? `
+        <section class="page cover">
+            <h1>${escapeHtml(options.cover.title)}</h1>
+            ${options.cover.subtitle ? `<p class="subtitle">${escapeHtml(options.cover.subtitle)}</p>` : ''}
+            <p class="meta">${itemCount} products${options.groupBy ? ` &middot; ${sections.length} sections` : ''}</p>
+            <p class="meta">${new Date().toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' })}</p>
+        </section>
+    ` : '';
+
+    const index = options.index ? `
+        <section class="index">
+            <h2>Index</h2>
+            <div class="index-columns">
+                ${sections.map(section => `
+                    ${options.groupBy ? `<h3>${escapeHtml(section.title)} <span>${section.pages[0].number}</span></h3>` : ''}
+                    <ul>
+                        ${section.items.map(item => `<li><span>${escapeHtml(item.name)}</span><span>${item.page}</span></li>`).join('')}
+                    </ul>
+                `).join('')}
+            </div>
+        </section>
+    ` : '';
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<style>
+    ${createFontSet().fontFaceCss(FONT_FAMILIES)}
+    @page { size: ${pageWidth}mm ${pageHeight}mm; margin: ${options.margin}mm ${options.margin}mm ${bottomMargin}mm ${options.margin}mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: ${FONT_FAMILIES.map(family => `'${family}'`).join(', ')}, sans-serif; color: #1c1917; }
+    .page { width: ${contentWidth}mm; height: ${contentHeight}mm; overflow: hidden; display: flex; flex-direction: column; break-after: page; }
+    .section-title { height: ${headerHeight}mm; margin: 0; font-size: 14pt; line-height: ${headerHeight}mm; border-bottom: 0.4mm solid #0d9488; }
+    .section-title span { font-size: 9pt; font-weight: normal; color: #78716c; }
+    .grid { flex: 1; display: grid; grid-template-columns: repeat(${options.columns}, 1fr); grid-template-rows: repeat(${options.rows}, 1fr); gap: 4mm; padding-top: ${headerHeight ? 3 : 0}mm; min-height: 0; }
+    figure { margin: 0; display: flex; flex-direction: column; min-height: 0; }
+    .banner { flex: 1; min-height: 0; display: flex; align-items: center; justify-content: center; }
+    .banner img { max-width: 100%; max-height: 100%; object-fit: contain; }
+    figcaption { height: ${CAPTION_HEIGHT}mm; line-height: ${CAPTION_HEIGHT}mm; font-size: 8pt; text-align: center; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .cover { justify-content: center; align-items: center; text-align: center; }
+    .cover h1 { font-size: 32pt; margin: 0 0 6mm; }
+    .cover .subtitle { font-size: 14pt; color: #57534e; margin: 0 0 12mm; }
+    .cover .meta { font-size: 10pt; color: #78716c; margin: 1mm 0; }
+    .index h2 { margin: 0 0 6mm; font-size: 18pt; }
+    .index-columns { column-count: 2; column-gap: 10mm; font-size: 9pt; }
+    .index h3 { display: flex; justify-content: space-between; font-size: 10pt; margin: 4mm 0 1mm; break-after: avoid; }
+    .index ul { list-style: none; margin: 0; padding: 0; }
+    .index li { display: flex; justify-content: space-between; gap: 4mm; padding: 0.6mm 0; border-bottom: 0.2mm dotted #d6d3d1; break-inside: avoid; }
+</style>
+</head>
+<body>
+${cover}
+${sections.map(section => section.pages.map(page => renderPage(section, page)).join('')).join('')}
+${index}
+</body>
+</html>`;
+}
+
+// items: [{ name, row, file }] where file is a path relative to sessionDir. page is a blank
+// browser page, left open for the caller to close.
+// Writes catalogue.pdf (or options.fileName) into sessionDir and returns its file name.
+async function buildCatalogue(page, sessionDir, items, rawOptions) {
+    const options = normalizeCatalogueOptions(rawOptions);
+    if (items.length === 0) throw new Error('Catalogue: no rendered banners to lay out');
+
+    const pageItems = items.map(item => ({
+        ...item,
+        src: item.file.split('/').map(encodeURIComponent).join('/')
+    }));
+    const sections = paginate(pageItems, options);
+
+    // Loaded from a file inside the session folder so the banners resolve as relative paths
+    const htmlPath = path.join(sessionDir, `.catalogue-${Date.now()}.html`);
+    fs.writeFileSync(htmlPath, buildHtml(sections, options, items.length));
+
+    const fileName = 'catalogue.pdf';
+    try {
+        await page.goto(`file://${htmlPath}`, { waitUntil: 'load', timeout: 120000 });
+        await page.evaluate(async () => {
+            await document.fonts.ready;
+        });
+
+        await page.pdf({
+            path: path.join(sessionDir, fileName),
+            preferCSSPageSize: true,
+            printBackground: true,
+            displayHeaderFooter: options.pageNumbers,
+            headerTemplate: '<span></span>',
+            footerTemplate: `<div style="width: 100%; font-size: 8pt; color: #78716c; text-align: center;">
+                <span class="pageNumber"></span> / <span class="totalPages"></span>
+            </div>`,
+            timeout: 300000
+        });
+    } finally {
+        fs.unlink(htmlPath, () => { });
+    }
+
+    return fileName;
+}
+
+module.exports = { buildCatalogue, normalizeCatalogueOptions };
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const ExcelJS = require('exceljs');
+
+// --- DATA SOURCES ---
+// Rows can come from CSV, TSV, JSON (an array of objects, or one object per line) or an Excel
+// workbook. Every adapter turns its file into the same { columns, rows } the engine has always
+// worked with: rows are objects of column -> string, in file order, with empty rows left out.
+// Excel numbers and dates arrive typed, so they're written out plainly ("1250.5", "2025-03-01")
+// rather than as whatever the cell's display format or date serial happens to be.
+//
+// A data source is { path, format, sheet }; a plain path is read as CSV. The job's report is
+// written back in the same format as its data.
+
+const FORMATS = {
+    csv: { ext: 'csv', label: 'CSV' },
+    tsv: { ext: 'tsv', label: 'TSV' },
+    json: { ext: 'json', label: 'JSON' },
+    jsonl: { ext: 'jsonl', label: 'JSON lines' },
+    xlsx: { ext: 'xlsx', label: 'Excel' }
+};
+const EXTENSIONS = { csv: 'csv', txt: 'csv', tsv: 'tsv', tab: 'tsv', json: 'json', jsonl: 'jsonl', ndjson: 'jsonl', xlsx: 'xlsx', xlsm: 'xlsx' };
+
+// Format from an explicit choice or the file name; anything unrecognised is read as CSV,
+// as every upload was before
+function detectFormat(fileName, requested) {
+    if (requested) {
+        const format = String(requested).toLowerCase();
+        if (!FORMATS[format]) throw new Error(`Data: unsupported format "${requested}" (use ${Object.keys(FORMATS).join(', ')})`);
+        return format;
+    }
+    const ext = path.extname(String(fileName || '')).slice(1).toLowerCase();
+    if (ext === 'xls') throw new Error('Data: Excel 97-2003 (.xls) files are not supported, save the workbook as .xlsx');
+    return EXTENSIONS[ext] || 'csv';
+}
+
+const toSource = (source) => typeof source === 'string' ? { path: source, format: 'csv' } : { format: 'csv', ...source };
+
+// Duplicate or blank headers get a suffix or a name, like PapaParse does for CSV
+function uniqueColumns(headers) {
+    const seen = new Map();
+    return headers.map((header, n) => {
+        const base = String(header).trim() || `Column ${n + 1}`;
+        const count = seen.get(base) || 0;
+        seen.set(base, count + 1);
+        return count === 0 ? base : `${base}_${count}`;
+    });
+}
+
+// --- DELIMITED TEXT ---
+function readDelimited(file, delimiter) {
+    const parsed = Papa.parse(fs.readFileSync(file, 'utf8'), { header: true, skipEmptyLines: true, delimiter });
+    return { columns: parsed.meta.fields || [], rows: parsed.data };
+}
+
+// --- JSON ---
+function jsonValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// JSON lines, one object per line (blank lines skipped)
+function parseJsonLines(text) {
+    const records = [];
+    text.split(/\r?\n/).forEach((line, n) => {
+        if (!line.trim()) return;
+        try {
+            records.push(JSON.parse(line));
+        } catch (e) {
+            throw new Error(`Data: line ${n + 1} is not valid JSON (${e.message})`);
+        }
+    });
+    return records;
+}
+
+// A .json file holds an array of row objects, or JSON lines under the wrong extension
+function readJson(file, format) {
+    const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+    let records;
+    if (format === 'jsonl') {
+        records = parseJsonLines(text);
+    } else {
+        try {
+            records = JSON.parse(text);
+        } catch (e) {
+            try {
+                records = parseJsonLines(text);
+            } catch (linesError) {
+                throw new Error(`Data: invalid JSON (${e.message})`);
+            }
+        }
+        if (!Array.isArray(records)) throw new Error('Data: JSON must be an array of objects, one per row');
+    }
+
+    const columns = [];
+    records.forEach((record, n) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error(`Data: row ${n + 1} is not an object`);
+        }
+        Object.keys(record).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+    const rows = records
+        .map(record => Object.fromEntries(columns.map(column => [column, jsonValue(record[column])])))
+        .filter(row => columns.some(column => row[column] !== ''));
+    return { columns, rows };
+}
+
+// --- EXCEL ---
+const pad = (n) => String(n).padStart(2, '0');
+
+// Excel dates carry no time zone: ExcelJS hands them over as that wall-clock time in UTC
+function formatDate(date) {
+    const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0) return day;
+    return `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}${date.getUTCSeconds() ? `:${pad(date.getUTCSeconds())}` : ''}`;
+}
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return formatDate(value);
+    // Excel keeps 15 significant digits; anything past that is float noise (0.1 + 0.2)
+    if (typeof value === 'number') return String(Number(value.toPrecision(15)));
+    if (typeof value !== 'object') return String(value);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellText(value.result); // Formula: its last calculated value
+    if ('formula' in value || 'sharedFormula' in value) return '';
+    if (value.text !== undefined) return cellText(value.text); // Hyperlink
+    if (value.error) return ''; // #N/A, #DIV/0! and friends read as empty cells
+    return String(value);
+}
+
+function pickSheet(workbook, sheet) {
+    const sheets = workbook.worksheets.filter(ws => ws.state !== 'hidden' && ws.state !== 'veryHidden');
+    if (sheets.length === 0) throw new Error('Data: the workbook has no visible sheets');
+    if (sheet === undefined || sheet === null || sheet === '') return { worksheet: sheets[0], sheets };
+
+    const worksheet = sheets.find(ws => ws.name === String(sheet)) ||
+        (/^\d+$/.test(String(sheet)) ? sheets[Number(sheet) - 1] : undefined);
+    if (!worksheet) throw new Error(`Data: the workbook has no sheet "${sheet}" (sheets: ${sheets.map(ws => ws.name).join(', ')})`);
+    return { worksheet, sheets };
+}
+
+// The first non-empty row is the header; data rows follow, blank ones skipped
+async function readXlsx(file, sheet) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.readFile(file);
+    } catch (e) {
+        const reason = /central directory|zip/i.test(e.message) ? 'not an .xlsx workbook' : e.message;
+        throw new Error(`Data: could not read the Excel file (${reason})`);
+    }
+    const { worksheet, sheets } = pickSheet(workbook, sheet);
+
+    let columns = null;
+    let width = 0;
+    const rows = [];
+    worksheet.eachRow(row => {
+        if (!columns) {
+            const headers = Array.from({ length: row.cellCount }, (v, n) => cellText(row.getCell(n + 1).value));
+            while (headers.length > 0 && !headers[headers.length - 1].trim()) headers.pop(); // Styled but empty
+            if (headers.length === 0) return;
+            width = headers.length;
+            columns = uniqueColumns(headers);
+            return;
+        }
+        const values = Array.from({ length: width }, (v, n) => cellText(row.getCell(n + 1).value));
+        if (values.some(value => value.trim() !== '')) {
+            rows.push(Object.fromEntries(columns.map((column, n) => [column, values[n]])));
+        }
+    });
+
+    return { columns: columns || [], rows, sheet: worksheet.name, sheets: sheets.map(ws => ws.name) };
+}
+
+// Resolves to { format, columns, rows, sheet, sheets } (sheet/sheets for Excel only)
+async function readData(source) {
+    const { path: file, format, sheet } = toSource(source);
+    let data;
+    if (format === 'xlsx') data = await readXlsx(file, sheet);
+    else if (format === 'json' || format === 'jsonl') data = readJson(file, format);
+    else data = readDelimited(file, format === 'tsv' ? '\t' : undefined);
+    return { format, sheet: null, sheets: [], ...data };
+}
+
+// --- REPORTS ---
+
+const reportFileName = (format) => `report.${FORMATS[format] ? FORMATS[format].ext : 'csv'}`;
+
+// Columns of every row, in first-seen order
+function reportColumns(rows) {
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+    }));
+    return columns;
+}
+
+// Values that came from typed cells go back as numbers and dates, so Excel can sum and sort them.
+// Anything that wouldn't survive the round trip ("00123", "1e5") stays text.
+function excelValue(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    if (text !== '' && String(Number(text)) === text) return Number(text);
+    const date = text.match(/^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (date) {
+        const [, y, mo, d, h = 0, mi = 0, s = 0] = date.map(Number);
+        const parsed = new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+        if (formatDate(parsed) === text) return parsed;
+    }
+    return text;
+}
+
+// Writes report.<ext> for the data's format into outputDir and resolves to its file name
+async function writeReport(outputDir, rows, format = 'csv') {
+    const fileName = reportFileName(format);
+    const file = path.join(outputDir, fileName);
+    const columns = reportColumns(rows);
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Report');
+        worksheet.addRow(columns).font = { bold: true };
+        rows.forEach(row => {
+            const added = worksheet.addRow(columns.map(column => excelValue(row[column])));
+            added.eachCell(cell => {
+                if (cell.value instanceof Date) cell.numFmt = formatDate(cell.value).length > 10 ? 'yyyy-mm-dd hh:mm' : 'yyyy-mm-dd';
+            });
+        });
+        await workbook.xlsx.writeFile(file);
+    } else if (format === 'json') {
+        fs.writeFileSync(file, JSON.stringify(rows, null, 2));
+    } else if (format === 'jsonl') {
+        fs.writeFileSync(file, rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : ''));
+    } else {
+        fs.writeFileSync(file, Papa.unparse(rows, { delimiter: format === 'tsv' ? '\t' : ',' }));
+    }
+    return fileName;
+}
+
+// The report a session folder holds, whichever format it was written in
+function findReportFile(dir) {
+    return Object.keys(FORMATS).map(reportFileName).find(fileName => fs.existsSync(path.join(dir, fileName))) || null;
+}
+
+module.exports = { FORMATS, detectFormat, readData, writeReport, findReportFile };
@@ -0,0 +1,392 @@
+// --- PLACEHOLDER EXPRESSIONS ---
+// A small, safe expression language for {{placeholders}}:
+//   {{rate | currency:INR}}  {{name | upper}}  {{mrp | round:0}}
+//   {{ (mrp-rate)/mrp*100 | percent }}  {{tagline | default:"Best price"}}
+// Identifiers are CSV columns (backticks for names with spaces: `Product Name`), values are
+// combined with + - * / %, comparisons, && || ! and ?:, then piped through formatters.
+// Nothing is ever passed to eval/Function, so templates can't run arbitrary code.
+//
+// This file is loaded both by Node (require) and into the render page (addScriptTag),
+// so it has no dependencies and exposes itself as window.TemplateExpressions in the browser.
+(function (root) {
+    class ExpressionError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'ExpressionError';
+        }
+    }
+
+    const PLACEHOLDER_REGEX = /{{\s*([\s\S]+?)\s*}}/g;
+
+    // --- Tokenizer ---
+    const IDENTIFIER_START = /[A-Za-z_$\u0900-\u097F]/;
+    const IDENTIFIER_PART = /[\w$\u0900-\u097F]/;
+    const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '(', ')', '|', ':', ',', '?'];
+
+    function tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const ch = source[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1]))) {
+                const match = source.slice(i).match(/^\d*\.?\d+(e[+-]?\d+)?/i);
+                tokens.push({ type: 'number', value: parseFloat(match[0]) });
+                i += match[0].length;
+            } else if (ch === '"' || ch === "'" || ch === '`') {
+                let value = '';
+                i++;
+                while (i < source.length && source[i] !== ch) {
+                    if (source[i] === '\\' && i + 1 < source.length) i++;
+                    value += source[i++];
+                }
+                if (i >= source.length) throw new ExpressionError(`Unterminated ${ch === '`' ? 'column name' : 'string'} in "${source}"`);
+                i++;
+                tokens.push({ type: ch === '`' ? 'identifier' : 'string', value });
+            } else if (IDENTIFIER_START.test(ch)) {
+                let value = '';
+                while (i < source.length && IDENTIFIER_PART.test(source[i])) value += source[i++];
+                tokens.push({ type: 'identifier', value });
+            } else {
+                const op = OPERATORS.find(o => source.startsWith(o, i));
+                if (!op) throw new ExpressionError(`Unexpected character "${ch}" in "${source}"`);
+                tokens.push({ type: 'op', value: op });
+                i += op.length;
+            }
+        }
+
+        return tokens;
+    }
+
+    // --- Parser (recursive descent) ---
+    // pipeline := conditional ( '|' name ( ':' arg ( ',' arg )* )? )*
+    function parse(source) {
+        const tokens = tokenize(source);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+        const expectOp = (value) => {
+            if (!isOp(value)) {
+                const found = peek() ? `"${peek().value}"` : 'end of expression';
+                throw new ExpressionError(`Expected "${value}" but found ${found} in "${source}"`);
+            }
+            pos++;
+        };
+
+        const binary = (next, ops) => () => {
+            let node = next();
+            while (peek() && peek().type === 'op' && ops.includes(peek().value)) {
+                const op = tokens[pos++].value;
+                node = { type: 'binary', op, left: node, right: next() };
+            }
+            return node;
+        };
+
+        const primary = () => {
+            const token = tokens[pos++];
+            if (!token) throw new ExpressionError(`Unexpected end of expression in "${source}"`);
+            if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+            if (token.type === 'identifier') {
+                if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+                return { type: 'column', name: token.value };
+            }
+            if (token.value === '(') {
+                const node = conditional();
+                expectOp(')');
+                return node;
+            }
+            if (token.value === '-' || token.value === '!' || token.value === '+') {
+                return { type: 'unary', op: token.value, argument: primary() };
+            }
+            throw new ExpressionError(`Unexpected "${token.value}" in "${source}"`);
+        };
+
+        const multiplicative = binary(primary, ['*', '/', '%']);
+        const additive = binary(multiplicative, ['+', '-']);
+        const comparison = binary(additive, ['<', '<=', '>', '>=']);
+        const equality = binary(comparison, ['==', '!=']);
+        const and = binary(equality, ['&&']);
+        const or = binary(and, ['||']);
+
+        function conditional() {
+            const test = or();
+            if (!isOp('?')) return test;
+            pos++;
+            const consequent = conditional();
+            expectOp(':');
+            return { type: 'conditional', test, consequent, alternate: conditional() };
+        }
+
+        const node = conditional();
+        const filters = [];
+
+        while (isOp('|')) {
+            pos++;
+            const nameToken = tokens[pos++];
+            if (!nameToken || nameToken.type !== 'identifier') throw new ExpressionError(`Expected a formatter name after "|" in "${source}"`);
+
+            const args = [];
+            if (isOp(':')) {
+                do {
+                    pos++;
+                    const arg = tokens[pos++];
+                    if (!arg || arg.type === 'op') {
+                        // Allow negative numbers as arguments, e.g. round:-1
+                        if (arg && arg.value === '-' && peek() && peek().type === 'number') {
+                            args.push(-tokens[pos++].value);
+                            continue;
+                        }
+                        throw new ExpressionError(`Expected an argument for "${nameToken.value}" in "${source}"`);
+                    }
+                    args.push(arg.value); // Bare words (e.g. INR) are plain strings
+                } while (isOp(','));
+            }
+
+            // Own keys only: "constructor" or "__proto__" are no formatters
+            if (!Object.prototype.hasOwnProperty.call(FORMATTERS, nameToken.value)) throw new ExpressionError(`Unknown formatter "${nameToken.value}" in "${source}"`);
+            filters.push({ name: nameToken.value, args });
+        }
+
+        if (pos < tokens.length) throw new ExpressionError(`Unexpected "${tokens[pos].value}" in "${source}"`);
+        return { node, filters };
+    }
+
+    // --- Evaluation ---
+    const isEmpty = (value) => value === undefined || value === null || value === '';
+
+    function toNumber(value, label) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        const text = String(isEmpty(value) ? '' : value).replace(/[,\s₹$]/g, '');
+        const n = text === '' ? NaN : Number(text);
+        if (!Number.isFinite(n)) throw new ExpressionError(`${label} is not a number ("${isEmpty(value) ? '' : value}")`);
+        return n;
+    }
+
+    const isNumeric = (value) => {
+        try {
+            toNumber(value, '');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    const label = (node) => node.type === 'column' ? `"${node.name}"` : 'value';
+
+    function evaluateNode(node, scope) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'column':
+                if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+                    throw new ExpressionError(`Unknown column "${node.name}"`);
+                }
+                return scope[node.name];
+            case 'unary': {
+                const value = evaluateNode(node.argument, scope);
+                if (node.op === '!') return !truthy(value);
+                const n = toNumber(value, label(node.argument));
+                return node.op === '-' ? -n : n;
+            }
+            case 'conditional':
+                return truthy(evaluateNode(node.test, scope))
+                    ? evaluateNode(node.consequent, scope)
+                    : evaluateNode(node.alternate, scope);
+            case 'binary': {
+                if (node.op === '&&') return truthy(evaluateNode(node.left, scope)) && truthy(evaluateNode(node.right, scope));
+                if (node.op === '||') {
+                    const left = evaluateNode(node.left, scope);
+                    return truthy(left) ? left : evaluateNode(node.right, scope);
+                }
+
+                const left = evaluateNode(node.left, scope);
+                const right = evaluateNode(node.right, scope);
+
+                if (node.op === '==' || node.op === '!=') {
+                    const equal = isNumeric(left) && isNumeric(right)
+                        ? toNumber(left, '') === toNumber(right, '')
+                        : String(isEmpty(left) ? '' : left) === String(isEmpty(right) ? '' : right);
+                    return node.op === '==' ? equal : !equal;
+                }
+                // + joins text when either side isn't a number ("Pack of " + qty)
+                if (node.op === '+' && !(isNumeric(left) && isNumeric(right))) {
+                    return `${isEmpty(left) ? '' : left}${isEmpty(right) ? '' : right}`;
+                }
+
+                const a = toNumber(left, label(node.left));
+                const b = toNumber(right, label(node.right));
+                let result;
+                switch (node.op) {
+                    case '+': result = a + b; break;
+                    case '-': result = a - b; break;
+                    case '*': result = a * b; break;
+                    case '/': result = a / b; break;
+                    case '%': result = a % b; break;
+                    case '<': return a < b;
+                    case '<=': return a <= b;
+                    case '>': return a > b;
+                    case '>=': return a >= b;
+                }
+                if (!Number.isFinite(result)) throw new ExpressionError(`Arithmetic gave ${result} (division by zero?)`);
+                return result;
+            }
+        }
+    }
+
+    // Empty cells, "0", "false" and "no" count as false (for conditions like {{ is_new ? "New" : "" }})
+    function truthy(value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number') return value !== 0;
+        if (isEmpty(value)) return false;
+        return !['0', 'false', 'no', 'n'].includes(String(value).trim().toLowerCase());
+    }
+
+    // --- Formatters ---
+    const DEVANAGARI_DIGITS = '०१२३४५६७८९';
+
+    const roundTo = (n, digits) => {
+        const factor = Math.pow(10, digits);
+        return Math.round(n * factor) / factor;
+    };
+
+    // Integers print without decimals, everything else with `digits`
+    const autoDigits = (n, digits) => digits !== undefined ? toNumber(digits, 'digits') : (Number.isInteger(roundTo(n, 2)) ? 0 : 2);
+
+    const FORMATTERS = {
+        upper: (value) => String(value).toUpperCase(),
+        lower: (value) => String(value).toLowerCase(),
+        title: (value) => String(value).toLowerCase().replace(/(^|\s)\S/g, s => s.toUpperCase()),
+        trim: (value) => String(value).trim(),
+        default: (value, fallback = '') => isEmpty(value) || (typeof value === 'string' && value.trim() === '') ? fallback : value,
+        round: (value, digits = 0) => roundTo(toNumber(value, 'value'), toNumber(digits, 'digits')),
+        floor: (value) => Math.floor(toNumber(value, 'value')),
+        ceil: (value) => Math.ceil(toNumber(value, 'value')),
+        abs: (value) => Math.abs(toNumber(value, 'value')),
+        fixed: (value, digits = 2) => toNumber(value, 'value').toFixed(toNumber(digits, 'digits')),
+        // Indian digit grouping: 1,23,456.5
+        number: (value, digits) => {
+            const n = toNumber(value, 'value');
+            const fraction = autoDigits(n, digits);
+            return n.toLocaleString('en-IN', { minimumFractionDigits: fraction, maximumFractionDigits: fraction });
+        },
+        currency: (value, currency = 'INR', digits) => {
+            const n = toNumber(value, 'value');
+            const fraction = autoDigits(n, digits);
+            try {
+                return new Intl.NumberFormat('en-IN', {
+                    style: 'currency',
+                    currency: String(currency).toUpperCase(),
+                    minimumFractionDigits: fraction,
+                    maximumFractionDigits: fraction
+                }).format(n);
+            } catch (e) {
+                throw new ExpressionError(`Unknown currency "${currency}"`);
+            }
+        },
+        // Expects a value already in percent: {{ (mrp-rate)/mrp*100 | percent }} -> 29%
+        percent: (value, digits = 0) => `${roundTo(toNumber(value, 'value'), toNumber(digits, 'digits'))}%`,
+        devanagari: (value) => String(value).replace(/[0-9]/g, d => DEVANAGARI_DIGITS[d]),
+        truncate: (value, length = 20, ellipsis = '…') => {
+            const max = toNumber(length, 'length');
+            const text = String(value);
+            // Count grapheme clusters so Devanagari conjuncts and matras are never split
+            const graphemes = typeof Intl !== 'undefined' && Intl.Segmenter
+                ? Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), s => s.segment)
+                : Array.from(text);
+            return graphemes.length > max ? graphemes.slice(0, max).join('').trimEnd() + ellipsis : text;
+        }
+    };
+
+    const cache = new Map();
+    function compile(source) {
+        if (!cache.has(source)) cache.set(source, parse(source));
+        return cache.get(source);
+    }
+
+    // Evaluates one placeholder body (without braces) against a row.
+    // options.fallback keeps the long-standing "generic placeholder" behaviour: a lone name that
+    // isn't a CSV column ({{value}}, {{price}}) resolves to the value of the mapped column.
+    function evaluate(source, row, options = {}) {
+        const expression = String(source).trim();
+
+        // Plain column names win, even when they contain spaces or symbols ({{Product Name}})
+        if (Object.prototype.hasOwnProperty.call(row, expression)) return format(row[expression]);
+
+        const compiled = compile(expression);
+        const { node, filters } = compiled;
+        if (node.type === 'column' && filters.length === 0 && !Object.prototype.hasOwnProperty.call(row, node.name) && options.fallback !== undefined) {
+            return format(options.fallback);
+        }
+
+        let value;
+        try {
+            value = evaluateNode(node, row);
+        } catch (e) {
+            // default:"..." also covers columns that don't exist in this CSV
+            const hasDefault = filters.some(filter => filter.name === 'default');
+            if (!(hasDefault && /^Unknown column/.test(e.message))) throw e;
+            value = undefined;
+        }
+
+        filters.forEach(filter => {
+            // Empty cells pass through untouched until a default kicks in
+            if (isEmpty(value) && filter.name !== 'default') return;
+            value = FORMATTERS[filter.name](value, ...filter.args);
+        });
+        return format(value);
+    }
+
+    function format(value) {
+        if (isEmpty(value)) return '';
+        if (typeof value === 'number') return String(roundTo(value, 10));
+        return String(value);
+    }
+
+    // Replaces every {{...}} in text; errors carry the offending placeholder
+    function renderText(text, row, options = {}) {
+        return String(text).replace(PLACEHOLDER_REGEX, (match, source) => {
+            try {
+                return evaluate(source, row, options);
+            } catch (e) {
+                throw new ExpressionError(`${match}: ${e.message}`);
+            }
+        });
+    }
+
+    // Lists placeholder bodies in text (syntax is checked, nothing is evaluated)
+    function extractPlaceholders(text) {
+        return Array.from(String(text).matchAll(PLACEHOLDER_REGEX), m => m[1].trim());
+    }
+
+    // Column names an expression reads (for validation and the mapping UI)
+    function getColumns(source) {
+        const columns = new Set();
+        const walk = (node) => {
+            if (!node) return;
+            if (node.type === 'column') columns.add(node.name);
+            ['left', 'right', 'argument', 'test', 'consequent', 'alternate'].forEach(key => walk(node[key]));
+        };
+        walk(compile(String(source).trim()).node);
+        return Array.from(columns);
+    }
+
+    const api = {
+        ExpressionError,
+        PLACEHOLDER_REGEX,
+        FORMATTERS,
+        parse: compile,
+        evaluate,
+        renderText,
+        extractPlaceholders,
+        getColumns,
+        truthy
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.TemplateExpressions = api;
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,100 @@
+const { renderText, extractPlaceholders, getColumns, parse } = require('./expressions');
+const { graphemes } = require('./textfit');
+
+// --- FILE NAMES ---
+// Output files are named from a pattern of placeholders, e.g. "{{sku}}_{{product_name}}_{{size}}",
+// evaluated like the template's own (filters included) with `row` as the 1-based row number.
+// Names are slugged Unicode-aware, so Tamil, Bengali or Devanagari stay readable, and
+// de-duplicated within a job so two rows never write the same file.
+
+const DEFAULT_PATTERN = '{{product_name}}';
+const MAX_NAME_BYTES = 150; // Leaves room for suffixes and extensions under the usual 255-byte limit
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i; // Windows can't open these
+// The session's own files, which a row's folder (with several templates) would otherwise replace
+const SESSION_FILES = /^(manifest\.json|session\.json(\.tmp)?|report\.\w+|catalogue\.pdf|banners\.zip)$/i;
+
+// Validates the job's naming settings: { pattern }
+function normalizeNamingOptions(options = {}) {
+    const pattern = String(options.pattern || '').trim();
+    if (!pattern) return { pattern: DEFAULT_PATTERN, custom: false };
+
+    const placeholders = extractPlaceholders(pattern);
+    if (placeholders.length === 0) throw new Error('File names: the pattern needs at least one {{column}}');
+    placeholders.forEach(source => {
+        try {
+            parse(source);
+        } catch (e) {
+            throw new Error(`File names: {{${source}}}: ${e.message}`);
+        }
+    });
+    return { pattern, custom: true };
+}
+
+// Columns the pattern reads that the CSV doesn't have ('row' is always available)
+function findUnknownColumns(naming, columns) {
+    if (!naming.custom) return [];
+    const unknown = new Set();
+    extractPlaceholders(naming.pattern).forEach(source => {
+        if (columns.includes(source)) return;
+        getColumns(source).forEach(column => {
+            if (column !== 'row' && !columns.includes(column)) unknown.add(column);
+        });
+    });
+    return Array.from(unknown);
+}
+
+// Letters, marks and digits of any script are kept; everything else becomes "_"
+function slugify(text) {
+    let slug = String(text)
+        .normalize('NFC')
+        .replace(/[^\p{L}\p{M}\p{N}._-]+/gu, '_')
+        .replace(/_{2,}/g, '_')
+        .replace(/^[._-]+|[._-]+$/g, '');
+
+    if (Buffer.byteLength(slug) > MAX_NAME_BYTES) {
+        let cut = '';
+        for (const part of graphemes(slug)) {
+            if (Buffer.byteLength(cut + part) > MAX_NAME_BYTES) break;
+            cut += part;
+        }
+        slug = cut.replace(/[._-]+$/, '');
+    }
+    return RESERVED_NAMES.test(slug) ? `_${slug}` : slug;
+}
+
+// Names rows for one job: (row, index) -> { safeName, base, duplicateOf, error }. safeName is
+// unique within the job (case-insensitively, for macOS/Windows disks and ZIPs): repeats get
+// "_2", "_3", ... and duplicateOf is the row index that had the name first.
+function createFileNamer(naming) {
+    const used = new Map(); // lower-cased name -> row index
+
+    return (row, index) => {
+        let base = '';
+        let error = null;
+        try {
+            base = slugify(renderText(naming.pattern, { row: String(index + 1), ...row }));
+        } catch (e) {
+            // The default pattern quietly falls back when the CSV has no product_name
+            if (naming.custom) error = e.message;
+        }
+        if (!base) base = `banner_${index + 1}`;
+        if (SESSION_FILES.test(base)) base = `_${base}`;
+
+        let safeName = base;
+        for (let n = 2; used.has(safeName.toLowerCase()); n++) safeName = `${base}_${n}`;
+        const duplicateOf = safeName === base ? null : used.get(base.toLowerCase());
+        used.set(safeName.toLowerCase(), index);
+
+        return { safeName, base, duplicateOf, error };
+    };
+}
+
+// Warnings for a createFileNamer() result: the pattern failed for the row, or the name was taken
+function describeFileName(file) {
+    const warnings = [];
+    if (file.error) warnings.push(`File name pattern failed (${file.error}), saved as "${file.safeName}"`);
+    if (file.duplicateOf !== null) warnings.push(`File name "${file.base}" is already used by row ${file.duplicateOf + 1}, saved as "${file.safeName}"`);
+    return warnings;
+}
+
+module.exports = { DEFAULT_PATTERN, normalizeNamingOptions, findUnknownColumns, slugify, createFileNamer, describeFileName };
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('fontkit');
+
+// --- FONTS ---
+// Fonts are served to the render page locally, never fetched from a font service: Mukta, Poppins
+// and Tiro Devanagari Hindi ship with the app (the @fontsource packages), and a saved template
+// can carry its own TTF, OTF, WOFF or WOFF2 files (see lib/templates.js) or the CLI can add some
+// (--font). Each is injected as an @font-face rule with the file inlined, for the families the
+// SVG actually names. A template font with a bundled family's name replaces the bundled one.
+//
+// Two checks come with them: font-family names the page can't resolve (not bundled, uploaded,
+// declared by the template's own @font-face or installed), and row text the chosen font has no
+// glyphs for (Devanagari in a Latin-only font), which the browser quietly draws in another font.
+
+const BUNDLED_FONTS = [
+    { package: '@fontsource/mukta', family: 'Mukta', weights: [400, 600, 700] },
+    { package: '@fontsource/poppins', family: 'Poppins', weights: [400, 600, 700] },
+    { package: '@fontsource/tiro-devanagari-hindi', family: 'Tiro Devanagari Hindi', weights: [400] }
+];
+const FONT_EXTENSIONS = ['ttf', 'otf', 'woff', 'woff2'];
+const MIME_TYPES = { ttf: 'font/ttf', otf: 'font/otf', woff: 'font/woff', woff2: 'font/woff2' };
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif',
+    'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong', 'inherit', 'initial', 'unset'];
+const MAX_LISTED_CHARACTERS = 10;
+
+const key = (family) => family.toLowerCase();
+
+// --- FONT FILES ---
+// Parsed fonts and inlined files, by path; a file replaced under the same name is read again
+const fileCache = new Map();
+
+function cached(file, kind, read) {
+    const stat = fs.statSync(file);
+    const cacheKey = `${kind}:${file}:${stat.size}:${stat.mtimeMs}`;
+    if (!fileCache.has(cacheKey)) fileCache.set(cacheKey, read());
+    return fileCache.get(cacheKey);
+}
+
+// From the file's own signature, whatever it's called
+function detectFontFormat(buffer) {
+    const signature = buffer.subarray(0, 4).toString('latin1');
+    if (signature === 'wOF2') return 'woff2';
+    if (signature === 'wOFF') return 'woff';
+    if (signature === 'OTTO') return 'otf';
+    return 'ttf';
+}
+
+function openFont(file) {
+    return cached(file, 'font', () => {
+        try {
+            return fontkit.openSync(file);
+        } catch (e) {
+            throw new Error(`Fonts: "${path.basename(file)}" is not a TTF, OTF, WOFF or WOFF2 font`);
+        }
+    });
+}
+
+function toDataUri(file) {
+    return cached(file, 'data', () => {
+        const buffer = fs.readFileSync(file);
+        return `data:${MIME_TYPES[detectFontFormat(buffer)]};base64,${buffer.toString('base64')}`;
+    });
+}
+
+// What an uploaded font file declares: { family, weight, style }. Variable fonts give their
+// weight range ("100 900"). Throws when the file isn't a font.
+function readFontFile(file) {
+    const font = openFont(file);
+    if (font.fonts) throw new Error(`Fonts: "${path.basename(file)}" is a font collection, upload its fonts one by one`);
+    const os2 = font['OS/2'] || {};
+    const axis = font.variationAxes && font.variationAxes.wght;
+    const italic = (os2.fsSelection && os2.fsSelection.italic) || font.italicAngle !== 0;
+    return {
+        family: String(font.getName('preferredFamily') || font.familyName || path.parse(file).name).trim(),
+        weight: axis ? `${axis.min} ${axis.max}` : String(os2.usWeightClass || 400),
+        style: italic ? 'italic' : 'normal'
+    };
+}
+
+// --- BUNDLED FONTS ---
+// The @fontsource CSS splits each weight into subsets (latin, latin-ext, devanagari) with a
+// unicode-range each; the faces keep that split so only what the page uses is decoded
+let bundledFaces = null;
+
+function getBundledFaces() {
+    if (bundledFaces) return bundledFaces;
+    bundledFaces = [];
+    BUNDLED_FONTS.forEach(bundle => {
+        const dir = path.dirname(require.resolve(`${bundle.package}/package.json`));
+        bundle.weights.forEach(weight => {
+            const css = fs.readFileSync(path.join(dir, `${weight}.css`), 'utf8');
+            for (const block of css.matchAll(/@font-face\s*{([^}]*)}/g)) {
+                const property = (name) => (block[1].match(new RegExp(`${name}:\\s*([^;]+);`)) || [])[1];
+                const src = (block[1].match(/url\(\.\/(files\/[^)]+\.woff2)\)/) || [])[1];
+                if (!src) continue;
+                bundledFaces.push({
+                    family: bundle.family,
+                    weight: property('font-weight') || String(weight),
+                    style: property('font-style') || 'normal',
+                    unicodeRange: property('unicode-range') || null,
+                    file: path.join(dir, src)
+                });
+            }
+        });
+    });
+    return bundledFaces;
+}
+
+// Whitespace, joiners and other characters that draw nothing, so no font needs a glyph for them
+const isInvisible = (character) => /[\s\u0000-\u001f\u007f-\u009f\u00ad\u200b-\u200f\u2060\ufeff]/.test(character);
+
+// --- FONT SET ---
+// The fonts a job renders with: the bundled ones plus extra files (a template's, --font).
+//   families              every family name, as declared
+//   has(family)           whether a family is in the set (case-insensitive)
+//   fontFaceCss(names)    @font-face rules for those of the names in the set
+//   missingGlyphs(family, text)   characters of text none of the family's files can draw
+// Throws when an extra file isn't a font.
+function createFontSet(files = []) {
+    const extraFaces = files.map(file => ({ ...readFontFile(file), unicodeRange: null, file }));
+    const extraFamilies = new Set(extraFaces.map(face => key(face.family)));
+    const faces = [...getBundledFaces().filter(face => !extraFamilies.has(key(face.family))), ...extraFaces];
+
+    const byFamily = new Map();
+    faces.forEach(face => {
+        if (!byFamily.has(key(face.family))) byFamily.set(key(face.family), []);
+        byFamily.get(key(face.family)).push(face);
+    });
+
+    const fontFaceCss = (names) => Array.from(new Set(names.map(key)))
+        .flatMap(name => byFamily.get(name) || [])
+        .map(face => `@font-face { font-family: ${JSON.stringify(face.family)}; font-style: ${face.style}; font-weight: ${face.weight}; ` +
+            `src: url(${toDataUri(face.file)});${face.unicodeRange ? ` unicode-range: ${face.unicodeRange};` : ''} }`)
+        .join('\n');
+
+    const missingGlyphs = (family, text) => {
+        const familyFaces = byFamily.get(key(family)) || [];
+        const missing = new Set();
+        for (const character of text) {
+            if (isInvisible(character)) continue;
+            const codePoint = character.codePointAt(0);
+            if (!familyFaces.some(face => openFont(face.file).hasGlyphForCodePoint(codePoint))) missing.add(character);
+        }
+        return Array.from(missing);
+    };
+
+    return {
+        families: Array.from(new Set(faces.map(face => face.family))),
+        has: (family) => byFamily.has(key(family)),
+        fontFaceCss,
+        missingGlyphs
+    };
+}
+
+// --- TEMPLATE CHECKS ---
+
+// "'Poppins-Bold', Poppins, sans-serif" -> ['Poppins-Bold', 'Poppins', 'sans-serif']
+function parseFamilyList(value) {
+    return (String(value).match(/"[^"]*"|'[^']*'|[^,]+/g) || [])
+        .map(name => name.trim().replace(/^(["'])([\s\S]*)\1$/, '$2').replace(/\s+/g, ' ').trim())
+        .filter(name => name && name !== ',');
+}
+
+const decodeEntities = (value) => value.replace(/&quot;/g, '"').replace(/&(apos|#39);/g, "'").replace(/&amp;/g, '&');
+
+// The font-family values the SVG uses (attributes, style attributes and <style> rules) and the
+// families its own @font-face rules declare
+function getFontFamilies(svg) {
+    const declared = [];
+    const lists = new Set();
+    const readCss = (css) => {
+        const rules = css.replace(/@font-face\s*{[^}]*}/g, (rule) => {
+            const family = rule.match(/font-family\s*:\s*([^;}]+)/);
+            if (family) declared.push(...parseFamilyList(family[1]));
+            return '';
+        });
+        for (const match of rules.matchAll(/font-family\s*:\s*([^;}]+)/g)) lists.add(match[1].replace(/!important/, '').trim());
+    };
+
+    for (const match of svg.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)) readCss(decodeEntities(match[1].replace(/<!\[CDATA\[|\]\]>/g, '')));
+    for (const match of svg.matchAll(/\sstyle=(?:"([^"]*)"|'([^']*)')/g)) readCss(decodeEntities(match[1] || match[2] || ''));
+    for (const match of svg.matchAll(/\sfont-family=(?:"([^"]*)"|'([^']*)')/g)) lists.add(decodeEntities(match[1] || match[2] || '').trim());
+    lists.delete('');
+    return { lists: Array.from(lists), declared };
+}
+
+// Every family name the SVG uses; those not in fontSet (nor generic, nor declared by the SVG) are
+// what the render page looks for among the installed fonts (findInstalledFonts)
+function getFamiliesToCheck(svg, fontSet) {
+    const { lists, declared } = getFontFamilies(svg);
+    const names = new Set(lists.flatMap(parseFamilyList));
+    const used = Array.from(names);
+    const unknown = used.filter(name => !GENERIC_FAMILIES.includes(key(name)) && !fontSet.has(name) &&
+        !declared.some(family => key(family) === key(name)));
+    return { used, unknown };
+}
+
+// Runs inside the render page: which of the names draw text differently from the generic
+// fallbacks, i.e. are installed where the browser runs
+function findInstalledFonts(names) {
+    const context = document.createElement('canvas').getContext('2d');
+    const sample = 'mmmmmmmmmmlliWQ@#1';
+    const width = (font) => {
+        context.font = font;
+        return context.measureText(sample).width;
+    };
+    return names.filter(name => ['monospace', 'serif', 'sans-serif'].some(generic =>
+        width(`72px ${JSON.stringify(name)}, ${generic}`) !== width(`72px ${generic}`)));
+}
+
+// A message for each font-family value whose first name the page can't resolve, saying what's
+// drawn instead. missing: the names that resolved nowhere.
+function describeUnresolvedFonts(svg, missing) {
+    const isMissing = (name) => missing.some(other => key(other) === key(name));
+    return getFontFamilies(svg).lists
+        .map(list => {
+            const names = parseFamilyList(list);
+            if (names.length === 0 || !isMissing(names[0])) return null;
+            const fallback = names.find(name => !isMissing(name));
+            const instead = !fallback ? "the browser's default font is used"
+                : GENERIC_FAMILIES.includes(key(fallback)) ? `the browser's ${fallback} font is used`
+                    : `"${fallback}" is used instead`;
+            return `Font "${names[0]}" is not bundled, uploaded with the template or installed; ${instead}`;
+        })
+        .filter((message, n, messages) => message && messages.indexOf(message) === n);
+}
+
+// Row text the chosen font (the first family of its font-family) can't draw, as [{ element,
+// message }]. texts: [{ element, family, text }] as the render page reports them. Families the
+// set doesn't hold (installed fonts) aren't checked.
+function findMissingGlyphs(texts, fontSet) {
+    const found = new Map(); // element + family -> missing characters
+    texts.forEach(({ element, family, text }) => {
+        const chosen = parseFamilyList(family)[0];
+        if (!chosen || !fontSet.has(chosen)) return;
+        const missing = fontSet.missingGlyphs(chosen, text);
+        if (missing.length === 0) return;
+        const entryKey = `${element}\n${chosen}`;
+        if (!found.has(entryKey)) found.set(entryKey, { element, family: chosen, characters: new Set() });
+        missing.forEach(character => found.get(entryKey).characters.add(character));
+    });
+
+    return Array.from(found.values()).map(({ element, family, characters }) => {
+        const list = Array.from(characters);
+        const shown = list.slice(0, MAX_LISTED_CHARACTERS).join(' ') + (list.length > MAX_LISTED_CHARACTERS ? ` and ${list.length - MAX_LISTED_CHARACTERS} more` : '');
+        return { element, message: `"${family}" has no glyphs for ${shown}; the browser draws them in another font` };
+    });
+}
+
+module.exports = {
+    FONT_EXTENSIONS,
+    readFontFile,
+    createFontSet,
+    parseFamilyList,
+    getFamiliesToCheck,
+    findInstalledFonts,
+    describeUnresolvedFonts,
+    findMissingGlyphs
+};
@@ -0,0 +1,1420 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const puppeteer = require('puppeteer');
+const { createUploader } = require('./uploaders');
+const { normalizeOutputs, resolveScale } = require('./outputs');
+const { extractPlaceholders, parse: parseExpression } = require('./expressions');
+const { normalizeFitOptions } = require('./textfit');
+const { FIT_MODES, normalizeImageOptions, preserveAspectRatio, isImageValue, createImageFetcher } = require('./images');
+const { getTemplateText } = require('./templates');
+const { createValidationReport, checkMapping, checkEmptyCells, checkFileNames } = require('./validation');
+const { normalizeNamingOptions, findUnknownColumns, createFileNamer, describeFileName } = require('./filenames');
+const { createBrowserPool } = require('./browserpool');
+const { readData, writeReport } = require('./datasources');
+const { getMappingEntry, expandMapping, isShown } = require('./mapping');
+const { BARCODE_FORMATS, isBarcodeFormat, normalizeBarcodeOptions, encodeBarcode } = require('./barcodes');
+const { createFontSet, getFamiliesToCheck, findInstalledFonts, describeUnresolvedFonts, findMissingGlyphs } = require('./fonts');
+const { getRenderKey, getRowHash, readPreviousRun, findReusableRow } = require('./incremental');
+const { pickTemplates, getVariantFile } = require('./variants');
+
+// --- GENERATOR ---
+// The rendering engine behind both the server (server.js) and the command line (cli.js):
+// template preparation, row mapping, generation, dry runs and previews. Callers validate their
+// options with the normalize*Options() helpers and pass them in; nothing here knows about HTTP.
+
+// Injected into the render page so placeholders are evaluated by the same code as in Node
+const EXPRESSIONS_SOURCE = fs.readFileSync(require.resolve('./expressions'), 'utf8');
+const TEXTFIT_SOURCE = fs.readFileSync(require.resolve('./textfit'), 'utf8');
+
+// --- BROWSER ---
+async function launchBrowser() {
+    // Configure for Render deployment with Docker
+    // In Puppeteer Docker image, Chrome is at /usr/bin/google-chrome-stable
+    const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH ||
+        (fs.existsSync('/usr/bin/google-chrome-stable') ? '/usr/bin/google-chrome-stable' :
+            fs.existsSync('/usr/bin/google-chrome') ? '/usr/bin/google-chrome' : undefined);
+
+    try {
+        return await puppeteer.launch({
+            headless: true,
+            executablePath: executablePath,
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-web-security',
+                '--disable-dev-shm-usage',
+                '--disable-gpu',
+                '--disable-software-rasterizer',
+                '--disable-extensions',
+                '--disable-background-timer-throttling',
+                '--disable-backgrounding-occluded-windows',
+                '--disable-renderer-backgrounding',
+                '--disable-features=TranslateUI',
+                '--disable-ipc-flooding-protection',
+                '--memory-pressure-off'
+            ],
+            timeout: 60000,
+            protocolTimeout: 60000,
+            // The browser is shared and long-lived; whoever runs the pool closes it on shutdown
+            handleSIGINT: false,
+            handleSIGTERM: false,
+            handleSIGHUP: false
+        });
+    } catch (error) {
+        console.error('Failed to launch browser:', error);
+        throw new Error(`Browser launch failed: ${error.message}`);
+    }
+}
+
+// Shared by every job (see lib/browserpool.js); RENDER_CONCURRENCY sets how many pages render at once.
+// Created on first use, so the CLI can size it (--concurrency) before anything renders.
+let browserPool = null;
+function getBrowserPool(options = {}) {
+    if (!browserPool) browserPool = createBrowserPool({ launch: launchBrowser, ...options });
+    return browserPool;
+}
+const JOB_CONCURRENCY = parseInt(process.env.RENDER_JOB_CONCURRENCY, 10);
+
+// Loads the template into a pooled page once; rows then start from a copy of the pristine SVG
+// (resetRenderPage) instead of reloading the page and waiting on fonts every time
+async function setupRenderPage(page, svgTemplate, viewport) {
+    await page.setViewport(viewport);
+    await page.setBypassCSP(true);
+    page.on('console', msg => console.log('BROWSER LOG:', msg.text()));
+
+    // Use 'domcontentloaded' (Fast) instead of 'networkidle0' (Slow)
+    await page.setContent(svgTemplate, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await page.addScriptTag({ content: EXPRESSIONS_SOURCE });
+    await page.addScriptTag({ content: TEXTFIT_SOURCE });
+
+    // Load every injected font face up front, not just the subsets the template's own text needs:
+    // row text in another script must be measured for fitting in its real font
+    await page.evaluate(async () => {
+        await Promise.all(Array.from(document.fonts).map(face => face.load().catch(() => { })));
+        await document.fonts.ready;
+        window.pristineSvg = document.querySelector('svg').cloneNode(true);
+    });
+}
+
+async function resetRenderPage(page) {
+    await page.evaluate(async () => {
+        document.querySelector('svg').replaceWith(window.pristineSvg.cloneNode(true));
+        await document.fonts.ready; // Only waits when the template's own <style> declares fonts
+    });
+}
+
+// --- ROW MAPPING ---
+// Applies one row's mapping to the template loaded in the render page. Runs inside the page
+// (page.evaluate), with lib/expressions.js and lib/textfit.js injected. mapping is expanded to
+// { svgId: { column, attribute, condition } } (see lib/mapping.js). images holds the row's
+// fetched images by element id, codes its encoded barcodes (null: keep the placeholder).
+// Returns { errors, overflows, texts }: errors as { element, message } fail the row; overflows
+// are filled in instead of fitting the text when dryRun is set; texts are the changed texts as
+// { element, family, text }, for the glyph check (see lib/fonts.js).
+function applyRowMapping(row, mapping, fit, images, codes, imageElements, dryRun) {
+    const errors = [];
+    const { evaluate, truthy, PLACEHOLDER_REGEX } = window.TemplateExpressions;
+    const hasPlaceholder = (text) => /{{[\s\S]*?}}/.test(text);
+
+    // Text as designed, before any row data goes in: where each element's default fit box starts
+    const originalBoxes = new Map();
+    document.querySelectorAll('text').forEach(textEl => originalBoxes.set(textEl, textEl.getBBox()));
+    const changedTexts = new Set();
+
+    // Evaluates every {{expression}} inside el (see lib/expressions.js). Works on the text nodes
+    // so <tspan> structure and styling survive; a placeholder split across tspans is replaced
+    // where it starts and the rest of it is removed from the following tspans.
+    // If any placeholder fails, the error is recorded under `label` and el is left untouched.
+    const substitute = (label, el, fallback) => {
+        const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        const text = nodes.map(node => node.data).join('');
+
+        const replacements = [];
+        try {
+            for (const match of text.matchAll(PLACEHOLDER_REGEX)) {
+                let result;
+                try {
+                    result = evaluate(match[1], row, { fallback });
+                } catch (e) {
+                    throw new Error(`{{${match[1]}}}: ${e.message}`);
+                }
+                replacements.push({ start: match.index, end: match.index + match[0].length, result });
+            }
+        } catch (e) {
+            errors.push({ element: label, message: e.message });
+            return;
+        }
+
+        // Last placeholder first, so the offsets of earlier ones stay valid
+        replacements.reverse().forEach(({ start, end, result }) => {
+            let offset = 0;
+            nodes.forEach(node => {
+                const nodeStart = offset;
+                const nodeEnd = offset + node.data.length;
+                offset = nodeEnd;
+                if (nodeEnd <= start || nodeStart >= end) return;
+
+                const from = Math.max(start, nodeStart) - nodeStart;
+                const to = Math.min(end, nodeEnd) - nodeStart;
+                node.data = node.data.slice(0, from) + (start >= nodeStart ? result : '') + node.data.slice(to);
+            });
+        });
+    };
+
+    // Conditions first, so nothing inside an element hidden on this row is evaluated
+    // or fitted (a "% OFF" badge hidden when rate == mrp shouldn't fail on the maths)
+    const hiddenElements = [];
+    Object.keys(mapping).forEach(svgId => {
+        const { condition } = mapping[svgId];
+        const el = document.getElementById(svgId);
+        if (!condition || !el) return;
+
+        let shown;
+        try {
+            shown = truthy(evaluate(condition, row));
+        } catch (e) {
+            errors.push({ element: `#${svgId}`, message: `condition "${condition}": ${e.message}` });
+            return;
+        }
+        if (shown) {
+            // Elements the designer hid (a "New" ribbon) come back when their condition holds
+            if (el.getAttribute('display') === 'none') el.removeAttribute('display');
+            if (el.style.display === 'none') el.style.removeProperty('display');
+        } else {
+            el.style.setProperty('display', 'none');
+            hiddenElements.push(el);
+        }
+    });
+    const isHidden = (el) => hiddenElements.some(hidden => hidden.contains(el));
+
+    // Style attributes go on as inline style, which wins over the template's own attributes and
+    // classes. A group passes them on to the children that set their own (Figma exports put the
+    // fill on every path, not on the group).
+    const STYLE_TAGS = 'text, tspan, rect, path, circle, ellipse, line, polyline, polygon';
+    const applyStyle = (el, attribute, value) => {
+        let styleValue = value;
+        if (attribute === 'opacity') {
+            const percent = /%$/.test(value);
+            const n = Number(value.replace(/%$/, ''));
+            if (value === '' || !Number.isFinite(n)) throw new Error(`opacity "${value}" is not a number`);
+            styleValue = String(Math.min(1, Math.max(0, percent ? n / 100 : n)));
+        } else if (attribute === 'font-size') {
+            if (/^\d*\.?\d+$/.test(value)) styleValue = `${value}px`;
+            if (!CSS.supports('font-size', styleValue)) throw new Error(`font-size "${value}" is not a size`);
+        } else if (!CSS.supports(attribute, value)) {
+            throw new Error(`${attribute} "${value}" is not a colour`);
+        }
+
+        const targets = [el];
+        if (el.tagName.toLowerCase() === 'g' && attribute !== 'opacity') {
+            el.querySelectorAll(STYLE_TAGS).forEach(child => {
+                if (child.hasAttribute(attribute) || child.style.getPropertyValue(attribute)) targets.push(child);
+            });
+        }
+        targets.forEach(target => target.style.setProperty(attribute, styleValue));
+
+        // A new font size changes the text's width, so it's fitted like new text
+        if (attribute === 'font-size') {
+            if (el.closest('text')) changedTexts.add(el.closest('text'));
+            el.querySelectorAll('text').forEach(textEl => changedTexts.add(textEl));
+        }
+    };
+
+    // Barcodes (see lib/barcodes.js) replace their placeholder with shapes drawn to its box:
+    // a QR code as the largest centred square that fits, linear codes across the whole box
+    // with their digits underneath
+    const drawBarcode = (el, code) => {
+        const SVG_NS = "http://www.w3.org/2000/svg";
+        const shape = (tag, attributes) => {
+            const node = document.createElementNS(SVG_NS, tag);
+            Object.keys(attributes).forEach(name => node.setAttribute(name, attributes[name]));
+            return node;
+        };
+        const { x, y, width, height } = el.getBBox();
+        const group = shape('g', { id: el.id, 'shape-rendering': 'crispEdges' });
+        ['transform', 'opacity', 'clip-path', 'mask', 'filter'].forEach(attr => {
+            if (el.hasAttribute(attr)) group.setAttribute(attr, el.getAttribute(attr));
+        });
+
+        if (code.path) {
+            const side = Math.min(width, height);
+            const symbol = shape('svg', { x: x + (width - side) / 2, y: y + (height - side) / 2, width: side, height: side, viewBox: `0 0 ${code.size} ${code.size}` });
+            symbol.appendChild(shape('rect', { width: code.size, height: code.size, fill: '#fff' }));
+            symbol.appendChild(shape('path', { d: code.path, fill: '#000' }));
+            group.appendChild(symbol);
+        } else {
+            const moduleWidth = width / code.width;
+            const fontSize = code.text.length > 0 ? Math.min(moduleWidth * 9, height * 0.25) : 0;
+            const barHeight = height - fontSize * 1.2;
+            group.appendChild(shape('rect', { x, y, width, height, fill: '#fff' }));
+            code.bars.forEach(([barX, barWidth, guard]) => group.appendChild(shape('rect', {
+                x: x + barX * moduleWidth,
+                y,
+                width: barWidth * moduleWidth,
+                height: guard ? barHeight + fontSize * 0.6 : barHeight,
+                fill: '#000'
+            })));
+            code.text.forEach(([textX, characters]) => {
+                const label = shape('text', {
+                    x: x + textX * moduleWidth,
+                    y: y + height - fontSize * 0.15,
+                    'font-size': fontSize,
+                    'font-family': 'OCR-B, "DejaVu Sans Mono", monospace',
+                    'text-anchor': 'middle',
+                    fill: '#000'
+                });
+                label.textContent = characters;
+                group.appendChild(label);
+            });
+        }
+        el.parentNode.replaceChild(group, el);
+    };
+
+    Object.keys(mapping).forEach(svgId => {
+        const { column: csvHeader, attribute } = mapping[svgId];
+        const value = csvHeader ? row[csvHeader] : undefined;
+        const target = document.getElementById(svgId);
+        if (!csvHeader || (target && isHidden(target))) return;
+        console.log(`Processing ID: ${svgId}, Header: ${csvHeader}, Value: ${value}`);
+
+        if (svgId in codes) {
+            if (target && codes[svgId]) drawBarcode(target, codes[svgId]);
+            return;
+        }
+
+        // Empty cells keep the template's own value
+        if (attribute !== 'content') {
+            if (!target || !String(value || '').trim()) return;
+            try {
+                applyStyle(target, attribute, String(value).trim());
+            } catch (e) {
+                errors.push({ element: `#${svgId}`, message: e.message });
+            }
+            return;
+        }
+
+        // Empty cells keep the template's text, unless it has placeholders to evaluate
+        // (e.g. {{tagline | default:"Best price"}})
+        if (value || (target && hasPlaceholder(target.textContent))) {
+            const el = document.getElementById(svgId);
+            if (el) {
+                console.log(`Element found: ${svgId}`);
+                const tagName = el.tagName.toLowerCase();
+
+                if (tagName === 'image') {
+                    // Fetched and inlined by loadRowImages; '' means keep the template's image
+                    if (!images[svgId]) return;
+                    el.setAttribute('href', images[svgId]);
+                    el.setAttribute('preserveAspectRatio', imageElements[svgId].preserveAspectRatio);
+                } else if (['rect', 'path', 'circle', 'ellipse'].includes(tagName)) {
+                    if (svgId in images) {
+                        if (!images[svgId]) return;
+
+                        // Replace shape with an image covering its bounds
+                        const SVG_NS = "http://www.w3.org/2000/svg";
+                        const img = document.createElementNS(SVG_NS, "image");
+                        const bbox = el.getBBox();
+                        img.setAttribute('x', bbox.x);
+                        img.setAttribute('y', bbox.y);
+                        img.setAttribute('width', bbox.width);
+                        img.setAttribute('height', bbox.height);
+                        img.setAttribute('preserveAspectRatio', imageElements[svgId].preserveAspectRatio);
+                        img.setAttribute('href', images[svgId]);
+                        img.setAttribute('id', el.id); // Keep the same ID
+                        ['opacity', 'filter', 'mask'].forEach(attr => {
+                            if (el.hasAttribute(attr)) img.setAttribute(attr, el.getAttribute(attr));
+                        });
+
+                        // Clip to the placeholder's own shape: rounded corners, circles, paths.
+                        // A plain rect needs nothing, the image never draws outside its box.
+                        const rounded = ['rx', 'ry'].some(attr => parseFloat(el.getAttribute(attr)) > 0);
+                        if (tagName !== 'rect' || rounded) {
+                            let defs = document.querySelector('svg > defs');
+                            if (!defs) {
+                                defs = document.createElementNS(SVG_NS, 'defs');
+                                document.querySelector('svg').prepend(defs);
+                            }
+                            const clipPath = document.createElementNS(SVG_NS, 'clipPath');
+                            clipPath.setAttribute('id', `${el.id}-image-clip`);
+                            // Same user space as the image, so the shape goes in without its transform
+                            const shape = el.cloneNode(false);
+                            ['id', 'transform', 'style', 'class', 'clip-path', 'mask', 'filter', 'opacity'].forEach(attr => shape.removeAttribute(attr));
+                            clipPath.appendChild(shape);
+                            defs.appendChild(clipPath);
+                            img.setAttribute('clip-path', `url(#${clipPath.getAttribute('id')})`);
+                        }
+
+                        // The placeholder's own clip-path (e.g. from a Figma frame) still applies,
+                        // on a wrapper so it doesn't replace the shape clip
+                        let replacement = img;
+                        if (el.hasAttribute('clip-path')) {
+                            replacement = document.createElementNS(SVG_NS, 'g');
+                            replacement.setAttribute('clip-path', el.getAttribute('clip-path'));
+                            replacement.appendChild(img);
+                        }
+                        if (el.hasAttribute('transform')) replacement.setAttribute('transform', el.getAttribute('transform'));
+
+                        el.parentNode.replaceChild(replacement, el);
+                    } else {
+                        // Assume it's a color fill
+                        el.setAttribute('fill', value);
+                    }
+                } else {
+                    // Text Replacement Logic
+                    console.log(`Processing Text Element ${svgId} (Tag: ${tagName})`);
+
+                    // Special handling for Groups (<g>)
+                    if (tagName === 'g') {
+                        console.log("Element is a Group. Searching for text descendants.");
+                        console.log(`Group innerHTML: ${el.innerHTML}`); // DEBUG: See what's inside
+                        const textDescendants = el.querySelectorAll('text, tspan');
+                        let updated = false;
+
+                        el.querySelectorAll('text').forEach(child => {
+                            if (hasPlaceholder(child.textContent)) {
+                                console.log(`Placeholder in group child ${child.id || child.tagName}! Replacing.`);
+                                substitute(`#${svgId}`, child, value);
+                                changedTexts.add(child);
+                                updated = true;
+                            }
+                        });
+
+                        if (!updated) {
+                            console.log("No placeholders found in group children. Attempting to set textContent on first text child.");
+                            // Fallback: If no placeholders found, update the first text element? 
+                            // Or do nothing? Setting textContent on <g> is BAD.
+                            // Let's try to find the most relevant text child.
+                            if (textDescendants.length > 0) {
+                                textDescendants[0].textContent = value;
+                                changedTexts.add(textDescendants[0].closest('text'));
+                            } else {
+                                console.log("Group has no text children. Cannot update.");
+                            }
+                        }
+                        return; // Done with Group
+                    }
+
+                    // Standard Text Element Logic (text, tspan)
+                    console.log(`Checking content of ${svgId} for placeholders`);
+
+                    if (hasPlaceholder(el.textContent)) {
+                        // Each placeholder is evaluated on its own: columns resolve to their own
+                        // values and a lone unknown name ({{value}}) takes the mapped column's value
+                        console.log("Placeholder found! Replacing.");
+                        substitute(`#${svgId}`, el, value);
+                    } else {
+                        // Fallback: Pure ID mode.
+                        const tspans = el.getElementsByTagName('tspan');
+                        if (tspans.length === 1) {
+                            console.log("No placeholder, but found single tspan. Updating tspan content.");
+                            tspans[0].textContent = value;
+                        } else {
+                            console.log("No placeholder. Replacing textContent.");
+                            el.textContent = value;
+                        }
+                    }
+
+                    // Fitted into its box once every placeholder is resolved (see lib/textfit.js)
+                    if (el.closest('text')) changedTexts.add(el.closest('text'));
+                }
+            }
+        }
+    });
+
+    // Template-wide pass: placeholders anywhere else (with or without an id) resolve to
+    // their own columns. Mapped elements were handled above and take precedence.
+    const mappedElements = Object.keys(mapping)
+        .filter(svgId => (mapping[svgId].attribute === 'content' && mapping[svgId].column) || svgId in codes)
+        .map(svgId => document.getElementById(svgId))
+        .filter(Boolean);
+    document.querySelectorAll('text').forEach(textEl => {
+        if (isHidden(textEl) || mappedElements.some(mapped => mapped.contains(textEl))) return;
+        if (!hasPlaceholder(textEl.textContent)) return;
+
+        const label = textEl.id ? `#${textEl.id}` : `<text> "${textEl.textContent.trim().substring(0, 30)}"`;
+        console.log(`Placeholder in unmapped element ${label}. Replacing.`);
+        substitute(label, textEl);
+        changedTexts.add(textEl);
+    });
+
+    // Keep every changed text inside its fit box (shrink / wrap / ellipsis / fail).
+    // A dry run only reports what fitting would do.
+    const overflows = [];
+    changedTexts.forEach(textEl => {
+        if (isHidden(textEl)) return;
+        const label = textEl.id ? `#${textEl.id}` : '<text>';
+        if (dryRun) {
+            const overflow = window.TextFit.checkFit(textEl, originalBoxes.get(textEl), fit);
+            if (overflow) overflows.push({ element: label, ...overflow });
+            return;
+        }
+        const error = window.TextFit.fitText(textEl, originalBoxes.get(textEl), fit);
+        if (error) errors.push({ element: label, message: error });
+    });
+
+    // What each changed text says now, in the font-family it's drawn with (per <tspan>)
+    const texts = [];
+    changedTexts.forEach(textEl => {
+        if (isHidden(textEl)) return;
+        const walker = document.createTreeWalker(textEl, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (!node.data.trim()) continue;
+            texts.push({ element: textEl.id ? `#${textEl.id}` : '<text>', family: getComputedStyle(node.parentElement).fontFamily, text: node.data });
+        }
+    });
+
+    return { errors, overflows, texts };
+}
+
+// --- TEMPLATE PREPARATION ---
+// Placeholders that don't parse, as [{ source, message }]. Checked once, up front, instead of
+// failing every row the same way. Tags are stripped first so placeholders split across <tspan>s
+// are seen whole.
+function findPlaceholderErrors(svgTemplate, columns) {
+    const errors = [];
+    new Set(extractPlaceholders(getTemplateText(svgTemplate))).forEach(source => {
+        if (columns.includes(source)) return;
+        try {
+            parseExpression(source);
+        } catch (e) {
+            errors.push({ source, message: e.message });
+        }
+    });
+    return errors;
+}
+
+// Readies the template for the render page: sizing, image elements and font CSS (fonts: a
+// createFontSet() from lib/fonts.js). Returns { svgTemplate, width, height, imageElements };
+// throws on bad data-fit values.
+function prepareTemplate(svgTemplate, images, fonts) {
+    // 1. SCALING LOGIC
+    // The template is laid out at its own size; each raster output is then captured with
+    // its own deviceScaleFactor, so one render serves every requested resolution.
+    let width = 800, height = 400;
+    const rootTag = (svgTemplate.match(/<svg\b[^>]*>/i) || [''])[0];
+    const widthMatch = rootTag.match(/\swidth="([\d\.]+)(?:px)?"/);
+    const heightMatch = rootTag.match(/\sheight="([\d\.]+)(?:px)?"/);
+    const viewBoxMatch = rootTag.match(/\sviewBox="([^"]+)"/);
+    const viewBox = viewBoxMatch ? viewBoxMatch[1].trim().split(/[\s,]+/).map(parseFloat) : [];
+
+    if (widthMatch && heightMatch) {
+        width = parseFloat(widthMatch[1]);
+        height = parseFloat(heightMatch[1]);
+    } else if (viewBox.length === 4) {
+        width = viewBox[2];
+        height = viewBox[3];
+    }
+
+    if (rootTag) {
+        const sizedRoot = rootTag
+            .replace(/\s(width|height)="[^"]*"/g, '')
+            .replace(/^<svg/i, `<svg width="${width}" height="${height}"`);
+        svgTemplate = svgTemplate.replace(rootTag, sizedRoot);
+    }
+
+    // Elements that can take an image, with the fit each one asks for (data-fit / data-fit-position
+    // on the element, else the job's default). Read from the markup so bad values fail the job early.
+    const imageElements = {};
+    for (const match of svgTemplate.matchAll(/<(image|rect|path|circle|ellipse)\b([^>]*)>/gi)) {
+        const attribute = (name) => (match[2].match(new RegExp(`\\s${name}="([^"]*)"`)) || [])[1];
+        const id = attribute('id');
+        if (!id) continue;
+
+        const imageFit = attribute('data-fit') || images.fit;
+        if (!FIT_MODES.includes(imageFit)) throw new Error(`Template error in #${id}: data-fit must be one of ${FIT_MODES.join(', ')}`);
+        try {
+            imageElements[id] = {
+                tag: match[1].toLowerCase(),
+                preserveAspectRatio: preserveAspectRatio(imageFit, attribute('data-fit-position') || images.position)
+            };
+        } catch (e) {
+            throw new Error(`Template error in #${id}: ${e.message}`);
+        }
+    }
+
+    // 2. FONT INJECTION
+    // Local @font-face rules for the families the SVG names. They go in a <style> of their own
+    // ahead of the SVG, so the flattened SVG output doesn't carry the font files.
+    const fontFaces = fonts.fontFaceCss(getFamiliesToCheck(svgTemplate, fonts).used);
+    const fontCss = `
+        body, html { margin: 0; padding: 0; overflow: hidden; }
+        /* Fonts are now only available, not forced. SVG attributes will win. */
+    `;
+    // Append style instead of prepend to allow SVG internal styles to win if specific
+    if (svgTemplate.includes('</style>')) {
+        svgTemplate = svgTemplate.replace('</style>', `${fontCss}</style>`);
+    } else {
+        svgTemplate = `<style>${fontCss}</style>` + svgTemplate;
+    }
+    if (fontFaces) svgTemplate = `<style>${fontFaces}</style>` + svgTemplate;
+
+    return { svgTemplate, width, height, imageElements };
+}
+
+// Barcodes need a placeholder box to draw into: a <rect>, <image> or other shape with an id.
+// Returns a message for each barcode mapped onto anything else (checked once, up front).
+function findBarcodeTargetErrors(mapping, imageElements) {
+    return Object.keys(mapping || {})
+        .filter(svgId => isBarcodeFormat(getMappingEntry(mapping[svgId]).attribute) && !imageElements[svgId])
+        .map(svgId => `#${svgId}: a ${BARCODE_FORMATS[getMappingEntry(mapping[svgId]).attribute].label} needs a <rect> or <image> placeholder`);
+}
+
+// Font-family names in the SVG that nothing resolves, bundled, uploaded, declared by the SVG or
+// installed where the browser runs, as warnings. Checked once, on one of the job's pages.
+async function checkFontFamilies(page, svgSource, fonts) {
+    const { unknown } = getFamiliesToCheck(svgSource, fonts);
+    if (unknown.length === 0) return [];
+    const installed = await page.evaluate(findInstalledFonts, unknown);
+    return describeUnresolvedFonts(svgSource, unknown.filter(name => !installed.includes(name)));
+}
+
+// A template of the job readied for rendering: the template ({ key, svgPath, mapping, fonts }) plus
+// { svgSource, fontSet, svgTemplate, width, height, imageElements, viewport }. fonts are the
+// job's, on top of the template's own. Throws on template errors, prefixed with the template's
+// key when the job has several (see lib/variants.js).
+function prepareLayout(template, columns, images, fonts) {
+    try {
+        const svgSource = fs.readFileSync(template.svgPath, 'utf8');
+        const mapping = template.mapping || {};
+        const placeholderErrors = findPlaceholderErrors(svgSource, columns);
+        if (placeholderErrors.length > 0) {
+            throw new Error(`Template error in {{${placeholderErrors[0].source}}}: ${placeholderErrors[0].message}`);
+        }
+        const fontSet = createFontSet([...fonts, ...(template.fonts || [])]);
+        const prepared = prepareTemplate(svgSource, images, fontSet);
+        const barcodeTargetErrors = findBarcodeTargetErrors(mapping, prepared.imageElements);
+        if (barcodeTargetErrors.length > 0) throw new Error(`Template error in ${barcodeTargetErrors[0]}`);
+        return {
+            ...template,
+            mapping,
+            svgSource,
+            fontSet,
+            ...prepared,
+            viewport: { width: Math.ceil(prepared.width), height: Math.ceil(prepared.height) }
+        };
+    } catch (e) {
+        if (template.key) e.message = `${template.key}: ${e.message}`;
+        throw e;
+    }
+}
+
+// Display name of the banner for a CSV row (files are named by lib/filenames.js)
+function getBannerName(row, i) {
+    return row.product_name || `Banner ${i + 1}`;
+}
+
+// --- ROW RENDERING ---
+// Shared by generation and previews: fetching a row's images and drawing the row on a page
+// readied by setupRenderPage.
+
+// The image an element loads for this row: its cell, or '' when the element takes no image
+// (not an image element, a colour or style mapping, an empty cell, or hidden by its condition)
+function getRowImage(entry, row, element) {
+    const { column, attribute } = getMappingEntry(entry);
+    if (!element || !column || attribute !== 'content' || !isShown(entry, row)) return '';
+    const value = String(row[column] || '').trim();
+    if (element.tag !== 'image' && !isImageValue(value)) return ''; // Colour fill
+    return value;
+}
+
+// Returns loadRowImages(row), which fetches the row's images up front and resolves to
+// { rowImages: { svgId: dataUri } ('' keeps the template's own placeholder), warnings };
+// with onError 'fail' a broken image rejects instead.
+function createRowImageLoader(mapping, imageElements, images, imageFetcher) {
+    // The uploaded fallback image, else the one from the job options / IMAGE_FALLBACK ('' if none)
+    const loadFallbackImage = async () => {
+        const source = images.fallbackFile || images.fallback;
+        if (!source) return '';
+        try {
+            return (await imageFetcher.load(source, { allowFile: true })).dataUri;
+        } catch (e) {
+            console.error('Fallback image could not be loaded:', e.message);
+            return '';
+        }
+    };
+
+    return async (row) => {
+        const rowImages = {};
+        const warnings = [];
+
+        await Promise.all(Object.keys(mapping || {}).map(async (svgId) => {
+            const value = getRowImage(mapping[svgId], row, imageElements[svgId]);
+            if (!value) return;
+
+            try {
+                rowImages[svgId] = (await imageFetcher.load(value)).dataUri;
+            } catch (err) {
+                const reason = `#${svgId} image "${value.length > 80 ? value.slice(0, 80) + '...' : value}" could not be loaded: ${err.message}`;
+                if (images.onError === 'fail') throw new Error(reason);
+
+                rowImages[svgId] = await loadFallbackImage();
+                warnings.push(`${reason} (${rowImages[svgId] ? 'used the fallback image' : "kept the template's placeholder"})`);
+            }
+        }));
+
+        return { rowImages, warnings };
+    };
+}
+
+// Encodes the row's barcodes: { codes: { svgId: symbol | null }, errors: [{ element, column, message }] }.
+// Empty cells and elements hidden by their condition get null and keep the placeholder.
+function encodeRowBarcodes(mapping, row, barcodes) {
+    const codes = {};
+    const errors = [];
+    Object.keys(mapping || {}).forEach(svgId => {
+        const { column, attribute } = getMappingEntry(mapping[svgId]);
+        if (!isBarcodeFormat(attribute)) return;
+        codes[svgId] = null;
+        const value = String(row[column] || '').trim();
+        if (!value || !isShown(mapping[svgId], row)) return;
+        try {
+            codes[svgId] = encodeBarcode(attribute, value, barcodes);
+        } catch (e) {
+            errors.push({ element: `#${svgId}`, column, message: e.message });
+        }
+    });
+    return { codes, errors };
+}
+
+// Resets the page to the pristine template and applies the row. Resolves to a list of warnings
+// (text the font can't draw, images that failed to load); a broken expression or barcode value rejects.
+async function drawRow(page, row, mapping, fit, rowImages, imageElements, barcodes, fonts) {
+    // A value a barcode can't hold fails the row before anything is drawn
+    const { codes, errors: barcodeErrors } = encodeRowBarcodes(mapping, row, barcodes);
+    if (barcodeErrors.length > 0) throw new Error(barcodeErrors.map(e => `${e.element} ${e.message}`).join('; '));
+
+    await resetRenderPage(page);
+
+    // Apply Mapping
+    console.log("Applying Mapping:", JSON.stringify(mapping));
+    const { errors: mappingErrors, texts } = await page.evaluate(applyRowMapping, row, expandMapping(mapping), fit, rowImages, codes, imageElements, false);
+
+    // A broken expression fails the row rather than shipping a banner with raw {{...}} in it
+    if (mappingErrors.length > 0) throw new Error(mappingErrors.map(e => `${e.element} ${e.message}`).join('; '));
+
+    // Wait until every image has loaded. Mapped images were checked by loadRowImages; anything
+    // that still fails here (usually a remote image in the template itself) becomes a warning.
+    const brokenImages = await page.evaluate(async () => {
+        const broken = [];
+        await Promise.all(Array.from(document.querySelectorAll('image')).map(img => {
+            const href = img.href.baseVal;
+            if (!href) return Promise.resolve();
+            return new Promise(resolve => {
+                const i = new Image();
+                i.onload = resolve;
+                i.onerror = () => {
+                    broken.push(img.id ? `#${img.id}` : href.slice(0, 80));
+                    resolve();
+                };
+                i.src = href;
+            });
+        }));
+        return broken;
+    });
+    return [
+        ...findMissingGlyphs(texts, fonts).map(({ element, message }) => `${element} ${message}`),
+        ...brokenImages.map(image => `image ${image} failed to load`)
+    ];
+}
+
+// --- GENERATOR ENGINE ---
+// options.onProgress receives { type: 'start' | 'row', ... } events as rows finish,
+// options.signal (AbortSignal) stops the batch before the next row starts,
+// options.uploader (see lib/uploaders.js) decides where rendered files go,
+// options.outputs (see lib/outputs.js) lists the formats/sizes written for every row,
+// options.fit (see lib/textfit.js) is the default policy for text that overflows its box,
+// options.images (see lib/images.js) sets image fit, fetching and what happens when one fails,
+// options.barcodes (see lib/barcodes.js) sets QR error correction, quiet zones and barcode digits,
+// options.fonts lists font files on top of the bundled ones, e.g. a saved template's (see lib/fonts.js),
+// options.skipRows (Map of row index -> reason) lists rows to leave out, e.g. ones that failed validation,
+// options.naming (see lib/filenames.js) is the file name pattern,
+// options.concurrency caps how many of the shared browser pool's pages the job renders on at once,
+// options.onlyRows (array of row indexes) renders just those rows; the rest are left out of the results,
+// options.reuseFrom(renderKey) names the folder of an earlier run to reuse unchanged rows from (see
+// lib/incremental.js), or returns null to render everything,
+// options.retry reruns options.onlyRows of the earlier run in outputDir, keeping its other rows,
+// options.templates ([{ key, svgPath, mapping, fonts }], see lib/variants.js) renders every row with
+// each of several templates instead of svgPath and mapping, into a folder per row, and
+// options.templateBy ({ column, values, default }) has each row pick one of them instead.
+// data is a data source (see lib/datasources.js): { path, format, sheet }, or the path of a CSV.
+// Rows finish out of order; every result is keyed by CSV row index. Template-level warnings (fonts
+// that don't resolve) come with the start event and the result.
+// Every row is marked rendered, reused (copied from the earlier run) or retried.
+// Resolves to { rows, generatedFiles, reportData, manifest, stats, cancelled, format, warnings,
+// renderKey, uploadProvider }.
+async function generateBanners(svgPath, data, outputDir, mapping, options = {}) {
+    const {
+        signal,
+        onProgress = () => { },
+        uploader = createUploader({ provider: 'none' }),
+        outputs = normalizeOutputs(),
+        fit = normalizeFitOptions(),
+        images = normalizeImageOptions(),
+        barcodes = normalizeBarcodeOptions(),
+        fonts = [],
+        skipRows = new Map(),
+        naming = normalizeNamingOptions(),
+        concurrency = JOB_CONCURRENCY || getBrowserPool().size,
+        onlyRows = null,
+        reuseFrom = null,
+        retry = false,
+        templates = null,
+        templateBy = null
+    } = options;
+    const { rows, columns, format } = await readData(data);
+
+    // One layout per template; a single-template job has one without a key
+    const layouts = (templates || [{ key: null, svgPath, mapping, fonts: [] }]).map(template => prepareLayout(template, columns, images, fonts));
+    if (templateBy && !columns.includes(templateBy.column)) throw new Error(`Template by column: "${templateBy.column}" is not in the CSV`);
+    const unknownColumns = findUnknownColumns(naming, columns);
+    if (unknownColumns.length > 0) throw new Error(`File names: unknown column "${unknownColumns[0]}"`);
+    const nameFile = createFileNamer(naming);
+
+    const selected = onlyRows ? rows.map((row, i) => i).filter(i => onlyRows.includes(i)) : rows.map((row, i) => i);
+
+    const renderKey = getRenderKey({ templates: layouts, fonts, outputs, fit, images, barcodes, templateBy });
+    const previous = readPreviousRun(retry ? outputDir : reuseFrom && reuseFrom(renderKey));
+    const inPlace = Boolean(previous) && path.resolve(previous.dir) === path.resolve(outputDir);
+
+    // A single template's files go in a folder per format; several templates' in a folder per row
+    if (!templates) outputs.forEach(output => fs.mkdirSync(path.join(outputDir, output.dir), { recursive: true }));
+
+    // Each template renders on pages of its own, as many as the rows that use it can keep busy
+    const rowLayouts = rows.map(row => {
+        try {
+            return pickTemplates(templateBy, layouts, row);
+        } catch (e) {
+            return e;
+        }
+    });
+    layouts.forEach(layout => {
+        const used = selected.filter(i => Array.isArray(rowLayouts[i]) && rowLayouts[i].includes(layout)).length;
+        layout.session = getBrowserPool().createSession({
+            concurrency: Math.min(concurrency, Math.max(1, used)),
+            setup: (page) => setupRenderPage(page, layout.svgTemplate, layout.viewport)
+        });
+    });
+    const closeSessions = () => Promise.all(layouts.map(layout => layout.session.close()));
+    const prefix = (layout, messages) => layout.key ? messages.map(message => `${layout.key}: ${message}`) : messages;
+
+    // Opens a page per template up front, so a browser or template that won't load fails the job
+    // rather than every row
+    let templateWarnings;
+    try {
+        templateWarnings = (await Promise.all(layouts.map(async (layout) => prefix(layout,
+            await layout.session.run(page => checkFontFamilies(page, layout.svgSource, layout.fontSet)))))).flat();
+    } catch (error) {
+        await closeSessions();
+        throw new Error(`Page creation failed: ${error.message}`);
+    }
+
+    const imageFetcher = createImageFetcher({
+        timeoutMs: images.timeoutMs,
+        // Design tools mostly can't read WebP inside an SVG, so the flattened SVG output gets PNGs
+        transform: outputs.some(output => output.format === 'svg') ? async (image) => {
+            if (image.mimeType !== 'image/webp') return image;
+            const dataUri = await layouts[0].session.run(page => page.evaluate(async (src) => {
+                const img = new Image();
+                img.src = src;
+                await img.decode();
+                const canvas = document.createElement('canvas');
+                canvas.width = img.naturalWidth;
+                canvas.height = img.naturalHeight;
+                canvas.getContext('2d').drawImage(img, 0, 0);
+                return canvas.toDataURL('image/png');
+            }, image.dataUri));
+            return { dataUri, mimeType: 'image/png' };
+        } : undefined
+    });
+
+    layouts.forEach(layout => {
+        layout.loadRowImages = createRowImageLoader(layout.mapping, layout.imageElements, images, imageFetcher);
+    });
+
+    // Renders a single row with one template, on one of its session's pages, and writes every
+    // requested output. Resolves to a list of warnings (images that fell back or failed to load).
+    // Images are fetched before a page is taken, so a slow image server doesn't hold one up.
+    const renderRow = async (layout, row, targets) => {
+        const { rowImages, warnings } = await layout.loadRowImages(row);
+        return layout.session.run(page => renderOnPage(page, layout, row, rowImages, targets, warnings));
+    };
+
+    const renderOnPage = async (page, layout, row, rowImages, targets, loadWarnings) => {
+        const { mapping, imageElements, fontSet, width, height, viewport } = layout;
+        const warnings = [...loadWarnings, ...await drawRow(page, row, mapping, fit, rowImages, imageElements, barcodes, fontSet)];
+
+        for (const { output, outputPath } of targets) {
+            if (output.format === 'svg') {
+                // Flattened SVG with the row's substitutions applied, for designers
+                const markup = await page.evaluate(() => new XMLSerializer().serializeToString(document.querySelector('svg')));
+                fs.writeFileSync(outputPath, `<?xml version="1.0" encoding="UTF-8"?>\n${markup}`);
+            } else if (output.format === 'pdf') {
+                await page.pdf({
+                    path: outputPath,
+                    width: `${width}px`,
+                    height: `${height}px`,
+                    printBackground: true,
+                    pageRanges: '1',
+                    margin: { top: 0, right: 0, bottom: 0, left: 0 }
+                });
+            } else {
+                await page.setViewport({ ...viewport, deviceScaleFactor: resolveScale(output, width, height) });
+                await page.screenshot({
+                    path: outputPath,
+                    type: output.format,
+                    quality: output.quality,
+                    omitBackground: output.transparent,
+                    clip: { x: 0, y: 0, width, height }
+                });
+            }
+        }
+
+        return warnings;
+    };
+
+    const generatedFiles = [];
+    const reportData = []; // Indexed by CSV row so the report keeps row order while uploads finish out of order
+    const pendingUploads = [];
+    const aborted = () => signal && signal.aborted;
+    const uploadContext = { sessionId: path.basename(outputDir) };
+
+    // One generated_file/uploaded_url column pair per output; the first output keeps the plain names.
+    // With several templates, every pair is named after its variant (see lib/variants.js).
+    const reportColumns = templates
+        ? layouts.flatMap(layout => outputs.map(output => getVariantFile(layout, output, outputs, '').key)).map(key => ({ key, suffix: `_${key}` }))
+        : outputs.map((output, n) => ({ key: output.key, suffix: n === 0 ? '' : `_${output.key}` }));
+    const buildReportRow = (row, variants, status, render, error, warnings = []) => {
+        const report = { ...row };
+        reportColumns.forEach(({ key, suffix }) => {
+            const variant = variants.find(v => v.key === key) || {};
+            report[`generated_file${suffix}`] = variant.fileName || '';
+            report[`uploaded_url${suffix}`] = variant.uploadedUrl || '';
+        });
+        report.status = status;
+        report.render = render;
+        report.error = error || '';
+        report.warnings = warnings.join('; ');
+        return report;
+    };
+
+    // Every finished row goes in the report and the manifest (row index -> hash, files, status, URLs).
+    // run is { hash, render }; skipped rows have no render mark.
+    const manifestRows = [];
+    const recordRow = (i, row, name, variants, status, run, error, warnings = []) => {
+        reportData[i] = buildReportRow(row, variants, status, run.render, error, warnings);
+        manifestRows[i] = {
+            index: i,
+            name,
+            hash: run.hash,
+            status,
+            render: run.render,
+            error: error || '',
+            warnings,
+            files: variants.map(variant => ({
+                key: variant.key,
+                ...(variant.template ? { template: variant.template } : {}),
+                format: variant.format,
+                file: variant.fileName,
+                url: variant.uploadedUrl && variant.uploadedUrl !== 'UPLOAD_FAILED' ? variant.uploadedUrl : null
+            }))
+        };
+    };
+
+    // Uploads run alongside rendering, limited by the provider's concurrency setting. Variants that
+    // kept their URL from an earlier run aren't uploaded again.
+    const uploadRow = async (row, fileInfo) => {
+        const { index: i, name, fileName, variants, warnings, run } = fileInfo;
+        const errors = [];
+
+        await Promise.all(variants.filter(variant => !variant.uploadedUrl).map(async (variant) => {
+            console.log(`Uploading ${variant.fileName} via ${uploader.name}...`);
+            try {
+                variant.uploadedUrl = await uploader.upload(path.join(outputDir, variant.fileName), variant.fileName, uploadContext);
+                console.log(`Uploaded: ${variant.uploadedUrl}`);
+            } catch (err) {
+                console.error(`Upload failed for ${variant.fileName}:`, err.message);
+                variant.uploadedUrl = "UPLOAD_FAILED";
+                errors.push(`${variant.key}: ${err.message}`);
+            }
+        }));
+
+        fileInfo.uploadedUrl = variants[0].uploadedUrl;
+        if (errors.length === 0) {
+            recordRow(i, row, name, variants, 'uploaded', run, '', warnings);
+            onProgress({ type: 'row', index: i, name, status: 'uploaded', render: run.render, fileName, variants, uploadedUrl: fileInfo.uploadedUrl, warnings, done: true });
+        } else {
+            const error = errors.join('; ');
+            recordRow(i, row, name, variants, 'upload_failed', run, error, warnings);
+            onProgress({ type: 'row', index: i, name, status: 'failed', stage: 'upload', render: run.render, fileName, variants, error, warnings, done: true });
+        }
+    };
+
+    // Copies the earlier run's files for a row with this hash to the variants' paths, and takes its
+    // URLs when it uploaded with the same provider. Returns the row's warnings, or null when
+    // the row has to be rendered. Reusing in place, a file whose name changed may be another row's
+    // now, so only rows that kept their names are reused.
+    const reuseRow = (hash, variants, nameWarnings) => {
+        const earlier = findReusableRow(previous, hash, variants.map(variant => variant.key));
+        if (!earlier) return null;
+        const sources = variants.map(variant => earlier.files.find(file => file.key === variant.key));
+        if (inPlace && sources.some((file, n) => file.file !== variants[n].fileName)) return null;
+
+        try {
+            variants.forEach((variant, n) => {
+                const source = path.join(previous.dir, sources[n].file);
+                const target = path.join(outputDir, variant.fileName);
+                if (path.resolve(source) !== path.resolve(target)) fs.copyFileSync(source, target);
+            });
+        } catch (err) {
+            console.error(`Could not reuse ${earlier.name}:`, err.message);
+            return null;
+        }
+        if (previous.uploadProvider === uploader.name) {
+            variants.forEach((variant, n) => { variant.uploadedUrl = sources[n].url || undefined; });
+        }
+        return Array.from(new Set([...nameWarnings, ...earlier.warnings]));
+    };
+
+    // Named in row order up front (even rows that get skipped), so de-duplication matches the dry run
+    const files = rows.map((row, i) => nameFile(row, i));
+
+    const processRow = async (i) => {
+        const row = rows[i];
+        const name = getBannerName(row, i);
+        const safeName = files[i].safeName;
+        const nameWarnings = describeFileName(files[i]);
+        const hash = getRowHash(renderKey, row);
+
+        if (skipRows.has(i)) {
+            recordRow(i, row, name, [], 'skipped', { hash, render: '' }, skipRows.get(i));
+            onProgress({ type: 'row', index: i, name, status: 'skipped', error: skipRows.get(i), done: true });
+            return;
+        }
+
+        const run = { hash, render: retry ? 'retried' : 'rendered' };
+        if (rowLayouts[i] instanceof Error) {
+            recordRow(i, row, name, [], 'render_failed', run, rowLayouts[i].message, nameWarnings);
+            onProgress({ type: 'row', index: i, name, status: 'failed', stage: 'render', render: run.render, error: rowLayouts[i].message, done: true });
+            return;
+        }
+
+        // Paths are relative to the session folder, grouped by format (png/, jpeg/, ...), or by row
+        // with several templates (<name>/post.png, <name>/story.png, ...)
+        const renders = rowLayouts[i].map(layout => ({
+            layout,
+            targets: outputs.map(output => {
+                const file = layout.key
+                    ? getVariantFile(layout, output, outputs, safeName)
+                    : { key: output.key, fileName: `${output.dir}/${safeName}${output.suffix}.${output.ext}` };
+                return { output, outputPath: path.join(outputDir, file.fileName), variant: { key: file.key, ...(layout.key ? { template: layout.key } : {}), format: output.format, fileName: file.fileName } };
+            })
+        }));
+        const variants = renders.flatMap(({ targets }) => targets.map(target => target.variant));
+        if (templates) fs.mkdirSync(path.join(outputDir, safeName), { recursive: true });
+
+        // An unchanged row is copied from the earlier run instead of rendered, with its warnings
+        let warnings = reuseRow(hash, variants, nameWarnings);
+        if (warnings) {
+            if (!retry) run.render = 'reused';
+            reusedRows++;
+        } else {
+            // A bad row should not take the whole batch down with it
+            try {
+                const rendered = await Promise.all(renders.map(({ layout, targets }) => renderRow(layout, row, targets).then(
+                    layoutWarnings => prefix(layout, layoutWarnings),
+                    err => { throw Object.assign(err, { message: prefix(layout, [err.message])[0] }); }
+                )));
+                warnings = [...nameWarnings, ...rendered.flat()];
+            } catch (err) {
+                console.error(`Render failed for row ${i + 1}:`, err.message);
+                recordRow(i, row, name, [], 'render_failed', run, err.message, nameWarnings);
+                onProgress({ type: 'row', index: i, name, status: 'failed', stage: 'render', render: run.render, error: err.message, done: true });
+                return;
+            }
+            renderedRows++;
+        }
+
+        const fileInfo = { index: i, name, fileName: variants[0].fileName, variants, warnings, run };
+        generatedFiles.push(fileInfo);
+
+        if (!uploader.enabled || variants.every(variant => variant.uploadedUrl)) {
+            const status = uploader.enabled ? 'uploaded' : 'rendered';
+            fileInfo.uploadedUrl = variants[0].uploadedUrl;
+            recordRow(i, row, name, variants, status, run, '', warnings);
+            onProgress({ type: 'row', index: i, name, status, render: run.render, fileName: fileInfo.fileName, variants, uploadedUrl: fileInfo.uploadedUrl, warnings, done: true });
+            return;
+        }
+
+        onProgress({ type: 'row', index: i, name, status: 'rendered', render: run.render, fileName: fileInfo.fileName, variants, warnings, done: false });
+        pendingUploads.push(uploadRow(row, fileInfo));
+    };
+
+    // Retrying in place keeps the earlier run's other rows, as long as they're still the same rows
+    const carryOverRows = () => {
+        rows.forEach((row, i) => {
+            const earlier = previous.rows[i];
+            if (selected.includes(i) || !earlier || earlier.hash !== getRowHash(renderKey, row)) return;
+            const variants = earlier.files.map(file => ({
+                key: file.key,
+                ...(file.template ? { template: file.template } : {}),
+                format: file.format,
+                fileName: file.file,
+                uploadedUrl: file.url || (earlier.status === 'upload_failed' ? 'UPLOAD_FAILED' : undefined)
+            }));
+            recordRow(i, row, earlier.name, variants, earlier.status, { hash: earlier.hash, render: earlier.render || '' }, earlier.error, earlier.warnings);
+            if (variants.length > 0) {
+                generatedFiles.push({ index: i, name: earlier.name, fileName: variants[0].fileName, variants, warnings: earlier.warnings, uploadedUrl: variants[0].uploadedUrl });
+            }
+        });
+    };
+
+    onProgress({ type: 'start', total: selected.length, warnings: templateWarnings });
+
+    // Twice as many rows in flight as pages, so the next rows' images are fetched while pages render
+    const started = Date.now();
+    let renderedRows = 0;
+    let reusedRows = 0;
+    let nextRow = 0;
+    try {
+        await Promise.all(Array.from({ length: Math.min(concurrency * 2, selected.length) }, async () => {
+            while (nextRow < selected.length && !aborted()) await processRow(selected[nextRow++]);
+        }));
+    } finally {
+        await closeSessions();
+        await Promise.all(pendingUploads);
+    }
+    if (retry && inPlace) carryOverRows();
+
+    // Throughput, for the job results: wall-clock time covers rendering only, not the uploads
+    const renderMs = Date.now() - started;
+    const sessionStats = layouts.map(layout => layout.session.stats()).reduce((total, part) => {
+        Object.keys(part).forEach(key => { total[key] = (total[key] || 0) + part[key]; });
+        return total;
+    }, {});
+    const stats = {
+        renderedRows,
+        reusedRows,
+        renderMs,
+        rowsPerMinute: renderMs > 0 ? Math.round(renderedRows / renderMs * 60000 * 10) / 10 : 0,
+        averageRowMs: sessionStats.tasks > 0 ? Math.round(sessionStats.taskMs / sessionStats.tasks) : 0,
+        concurrency: sessionStats.concurrency,
+        pagesOpened: sessionStats.pagesOpened,
+        retries: sessionStats.retries
+    };
+    console.log(`Rendered ${renderedRows} rows in ${(renderMs / 1000).toFixed(1)}s (${stats.rowsPerMinute} rows/min on ${stats.concurrency} pages)${reusedRows > 0 ? `, reused ${reusedRows}` : ''}`);
+
+    generatedFiles.sort((a, b) => a.index - b.index);
+    return {
+        rows,
+        generatedFiles,
+        reportData: reportData.filter(Boolean),
+        manifest: manifestRows.filter(Boolean),
+        stats,
+        cancelled: aborted(),
+        format,
+        warnings: templateWarnings,
+        renderKey,
+        uploadProvider: uploader.enabled ? uploader.name : null
+    };
+}
+
+// --- DRY RUN ---
+// Checks a job without rendering it (see lib/validation.js): the mapping against the SVG and CSV,
+// placeholder syntax, empty cells, duplicate file names, image URLs, fonts, and what every row's
+// expressions and text fitting will do. Rows go through the same applyRowMapping as a real
+// render, minus images and screenshots. options: { fit, images, barcodes, fonts, naming,
+// templates, templateBy } as for generateBanners; with several templates, each is checked
+// against the rows that use it.
+const FIT_OUTCOMES = { shrink: 'shrunk to fit', wrap: 'wrapped', ellipsis: 'cut off with "…"' };
+const IMAGE_CHECK_CONCURRENCY = 8;
+
+// Template-level checks for one of the job's templates. Returns it readied as by prepareLayout,
+// or null when it can't be
+function checkLayout(report, template, columns, images, fonts) {
+    const svgSource = fs.readFileSync(template.svgPath, 'utf8');
+    const mapping = template.mapping || {};
+    findPlaceholderErrors(svgSource, columns).forEach(({ source, message }) => {
+        report.template('error', { element: `{{${source}}}`, message });
+    });
+    let layout = null;
+    try {
+        const fontSet = createFontSet([...fonts, ...(template.fonts || [])]);
+        const prepared = prepareTemplate(svgSource, images, fontSet);
+        findBarcodeTargetErrors(mapping, prepared.imageElements).forEach(message => report.template('error', { message }));
+        layout = { ...template, mapping, svgSource, fontSet, ...prepared };
+    } catch (e) {
+        report.template('error', { message: e.message });
+    }
+    const svgIds = Array.from(svgSource.matchAll(/<[\w:-]+\b[^>]*?\sid="([^"]*)"/g), match => match[1]);
+    checkMapping(report, mapping, svgIds, columns);
+    return layout;
+}
+
+async function validateBanners(svgPath, data, mapping, options = {}) {
+    const {
+        fit = normalizeFitOptions(),
+        images = normalizeImageOptions(),
+        barcodes = normalizeBarcodeOptions(),
+        fonts = [],
+        naming = normalizeNamingOptions(),
+        templates = null,
+        templateBy = null
+    } = options;
+
+    const { rows, columns } = await readData(data);
+    const report = createValidationReport(rows, getBannerName);
+
+    // 1. Template level: anything here fails every row
+    if (rows.length === 0) report.template('error', { message: 'The data file has no rows' });
+    const layouts = (templates || [{ key: null, svgPath, mapping, fonts: [] }])
+        .map(template => checkLayout(template.key ? report.forTemplate(template.key) : report, template, columns, images, fonts));
+    findUnknownColumns(naming, columns).forEach(column => {
+        report.template('error', { column, message: `File name pattern uses column "${column}", which is not in the CSV` });
+    });
+    if (templateBy && !columns.includes(templateBy.column)) {
+        report.template('error', { column: templateBy.column, message: `Template by column "${templateBy.column}" is not in the CSV` });
+    }
+    if (report.hasTemplateErrors()) return report.result();
+
+    // 2. Data: which template each row picks, then each template's cells against the rows that use it
+    layouts.forEach(layout => { layout.rows = new Set(); });
+    rows.forEach((row, index) => {
+        try {
+            pickTemplates(templateBy, layouts, row).forEach(layout => layout.rows.add(index));
+        } catch (e) {
+            report.row(index, 'error', { column: templateBy.column, message: e.message });
+        }
+    });
+    layouts.forEach(layout => {
+        layout.report = layout.key ? report.forTemplate(layout.key, layout.rows) : report;
+        checkEmptyCells(layout.report, rows, layout.mapping, columns);
+    });
+    checkFileNames(report, rows, createFileNamer(naming));
+
+    // 3. Image URLs, each distinct one fetched once
+    const imageChecks = [];
+    layouts.forEach(layout => layout.rows.forEach(index => Object.keys(layout.mapping).forEach(svgId => {
+        const value = getRowImage(layout.mapping[svgId], rows[index], layout.imageElements[svgId]);
+        if (!value) return;
+        imageChecks.push({ layout, index, svgId, value });
+    })));
+
+    const imageFetcher = createImageFetcher({ timeoutMs: images.timeoutMs });
+    const hasFallback = Boolean(images.fallbackFile || images.fallback);
+    let nextCheck = 0;
+    await Promise.all(Array.from({ length: Math.min(IMAGE_CHECK_CONCURRENCY, imageChecks.length) }, async () => {
+        while (nextCheck < imageChecks.length) {
+            const { layout, index, svgId, value } = imageChecks[nextCheck++];
+            try {
+                await imageFetcher.load(value);
+            } catch (err) {
+                const message = `Image "${value.length > 80 ? value.slice(0, 80) + '...' : value}" could not be loaded: ${err.message}`;
+                const details = { element: `#${svgId}`, column: getMappingEntry(layout.mapping[svgId]).column };
+                if (images.onError === 'fail') layout.report.row(index, 'error', { ...details, message });
+                else layout.report.row(index, 'warning', { ...details, message: `${message} (${hasFallback ? 'the fallback image is used' : "the template's placeholder is kept"})` });
+            }
+        }
+    }));
+
+    // 4. Fonts, then expressions, text fitting and glyphs row by row, on one pooled page per
+    // template (a dry run is quick; it shouldn't take pages from jobs that are rendering), reset to
+    // the pristine template in between
+    for (const layout of layouts) {
+        const { svgSource, svgTemplate, width, height, imageElements, fontSet, mapping: layoutMapping, report: layoutReport } = layout;
+        const session = getBrowserPool().createSession({
+            concurrency: 1,
+            setup: (page) => setupRenderPage(page, svgTemplate, { width: Math.ceil(width), height: Math.ceil(height) })
+        });
+        try {
+            // '' for every image element: placeholders stay as they are
+            const noImages = {};
+            Object.keys(imageElements).forEach(svgId => { noImages[svgId] = ''; });
+
+            const fontWarnings = await session.run(page => checkFontFamilies(page, svgSource, fontSet));
+            fontWarnings.forEach(message => layoutReport.template('warning', { message }));
+
+            const expanded = expandMapping(layoutMapping);
+            for (const i of layout.rows) {
+                const { codes, errors: barcodeErrors } = encodeRowBarcodes(layoutMapping, rows[i], barcodes);
+                barcodeErrors.forEach(issue => layoutReport.row(i, 'error', issue));
+                const { errors, overflows, texts } = await session.run(async (page) => {
+                    await resetRenderPage(page);
+                    return page.evaluate(applyRowMapping, rows[i], expanded, fit, noImages, codes, imageElements, true);
+                });
+                errors.forEach(({ element, message }) => layoutReport.row(i, 'error', { element, message }));
+                overflows.forEach(({ element, policy, width: textWidth, boxWidth, error }) => {
+                    if (error) layoutReport.row(i, 'error', { element, message: error });
+                    else layoutReport.row(i, 'warning', { element, message: `text is ${textWidth}px wide for a ${boxWidth}px box and will be ${FIT_OUTCOMES[policy]}` });
+                });
+                findMissingGlyphs(texts, fontSet).forEach(({ element, message }) => layoutReport.row(i, 'warning', { element, message }));
+            }
+        } finally {
+            await session.close();
+        }
+    }
+
+    return report.result();
+}
+
+// --- PREVIEW ---
+// Renders a few rows as small JPEGs for the mapping screen, nothing written to disk. Recently
+// previewed templates keep a warm page in the browser pool, so changing a dropdown only pays
+// for drawing the row. options: { fit, images, barcodes, fonts, index, count }: rows index .. index + count - 1.
+const PREVIEW_MAX_ROWS = 6;
+const PREVIEW_MAX_WIDTH = 640; // px; wider templates are scaled down
+const PREVIEW_CACHE_SIZE = 3;
+const PREVIEW_IDLE_MS = 2 * 60 * 1000;
+const previewRenderers = new Map(); // Template hash -> { session, imageFetcher, timer, busy, closing }, least recently used first
+
+// Takes a renderer out of the cache; its session closes once no preview is using it
+function closePreviewRenderer(key, renderer) {
+    if (previewRenderers.get(key) === renderer) previewRenderers.delete(key);
+    clearTimeout(renderer.timer);
+    if (renderer.busy > 0) renderer.closing = true;
+    else renderer.session.close();
+}
+
+// A warm renderer for the template, counted as in use until releasePreviewRenderer()
+function getPreviewRenderer(svgTemplate, viewport, images) {
+    const key = crypto.createHash('sha1').update(svgTemplate).digest('hex');
+
+    let renderer = previewRenderers.get(key);
+    if (renderer) {
+        previewRenderers.delete(key); // Re-added below as the most recent
+    } else {
+        renderer = {
+            session: getBrowserPool().createSession({ concurrency: 1, setup: (page) => setupRenderPage(page, svgTemplate, viewport) }),
+            imageFetcher: createImageFetcher({ timeoutMs: images.timeoutMs }), // Images stay cached between previews too
+            busy: 0,
+            closing: false
+        };
+    }
+    previewRenderers.set(key, renderer);
+    renderer.busy++;
+
+    clearTimeout(renderer.timer);
+    renderer.timer = setTimeout(() => closePreviewRenderer(key, renderer), PREVIEW_IDLE_MS);
+    renderer.timer.unref();
+    while (previewRenderers.size > PREVIEW_CACHE_SIZE) {
+        const [oldestKey, oldest] = previewRenderers.entries().next().value;
+        closePreviewRenderer(oldestKey, oldest);
+    }
+    return renderer;
+}
+
+function releasePreviewRenderer(renderer) {
+    renderer.busy--;
+    if (renderer.busy === 0 && renderer.closing) renderer.session.close();
+}
+
+async function previewBanners(svgPath, data, mapping, options = {}) {
+    const { fit = normalizeFitOptions(), images = normalizeImageOptions(), barcodes = normalizeBarcodeOptions(), fonts = [], index = 0, count = 1 } = options;
+    mapping = mapping || {};
+
+    const svgSource = fs.readFileSync(svgPath, 'utf8');
+    let rows, columns;
+    try {
+        ({ rows, columns } = await readData(data));
+    } catch (e) {
+        throw Object.assign(e, { status: 400 });
+    }
+
+    // Template problems are the caller's to fix (400), like bad options
+    const placeholderErrors = findPlaceholderErrors(svgSource, columns);
+    if (placeholderErrors.length > 0) {
+        throw Object.assign(new Error(`Template error in {{${placeholderErrors[0].source}}}: ${placeholderErrors[0].message}`), { status: 400 });
+    }
+    let prepared, fontSet;
+    try {
+        fontSet = createFontSet(fonts);
+        prepared = prepareTemplate(svgSource, images, fontSet);
+    } catch (e) {
+        throw Object.assign(e, { status: 400 });
+    }
+    const { svgTemplate, width, height, imageElements } = prepared;
+    const barcodeTargetErrors = findBarcodeTargetErrors(mapping, imageElements);
+    if (barcodeTargetErrors.length > 0) throw Object.assign(new Error(`Template error in ${barcodeTargetErrors[0]}`), { status: 400 });
+    const viewport = { width: Math.ceil(width), height: Math.ceil(height) };
+    const scale = Math.min(1, PREVIEW_MAX_WIDTH / width);
+
+    const renderer = getPreviewRenderer(svgTemplate, viewport, images);
+    const { session, imageFetcher } = renderer;
+    const loadRowImages = createRowImageLoader(mapping, imageElements, images, imageFetcher);
+
+    const previews = [];
+    try {
+        for (let i = index; i < Math.min(rows.length, index + count); i++) {
+            const row = rows[i];
+            const preview = { index: i, name: getBannerName(row, i), image: null, warnings: [], error: null };
+            try {
+                const { rowImages, warnings } = await loadRowImages(row);
+                const image = await session.run(async (page) => {
+                    preview.warnings = [...warnings, ...await drawRow(page, row, mapping, fit, rowImages, imageElements, barcodes, fontSet)];
+                    await page.setViewport({ ...viewport, deviceScaleFactor: scale });
+                    return page.screenshot({ type: 'jpeg', quality: 75, encoding: 'base64', clip: { x: 0, y: 0, width, height } });
+                });
+                preview.image = `data:image/jpeg;base64,${image}`;
+            } catch (err) {
+                preview.error = err.message;
+            }
+            previews.push(preview);
+        }
+    } finally {
+        releasePreviewRenderer(renderer);
+    }
+
+    return { total: rows.length, width, height, rows: previews };
+}
+
+// --- REPORTS ---
+// Writes the report (report.csv, or .xlsx/.json/... to match the data) and manifest.json for a
+// generateBanners() result into outputDir. Resolves to the report's file name.
+// details: { jobId, sessionId, createdAt, naming, cancelled }
+async function writeReports(outputDir, result, details) {
+    // The report is partial when the job was cancelled
+    const report = await writeReport(outputDir, result.reportData, result.format);
+
+    // Machine-readable counterpart: CSV row index -> files, status and URLs
+    fs.writeFileSync(path.join(outputDir, 'manifest.json'), JSON.stringify({
+        jobId: details.jobId,
+        sessionId: details.sessionId,
+        status: result.cancelled ? 'cancelled' : 'completed',
+        fileNamePattern: details.naming.pattern,
+        createdAt: details.createdAt,
+        finishedAt: new Date().toISOString(),
+        total: result.rows.length,
+        renderKey: result.renderKey,
+        uploadProvider: result.uploadProvider,
+        report,
+        stats: result.stats,
+        rows: result.manifest
+    }, null, 2));
+    return report;
+}
+
+// Turns a validateBanners() result into generateBanners' skipRows (row index -> reason).
+// Template errors fail every row, so they throw instead.
+function getInvalidRows(validation) {
+    if (validation.template.errors.length > 0) {
+        throw new Error(validation.template.errors.map(issue => [issue.template && `${issue.template}:`, issue.message].filter(Boolean).join(' ')).join('; '));
+    }
+    const skipRows = new Map();
+    validation.rows.filter(entry => !entry.valid).forEach(entry => {
+        skipRows.set(entry.index, `Failed validation: ${entry.errors.map(issue => [issue.template && `${issue.template}:`, issue.element, issue.message].filter(Boolean).join(' ')).join('; ')}`);
+    });
+    return skipRows;
+}
+
+module.exports = {
+    PREVIEW_MAX_ROWS,
+    getBrowserPool,
+    generateBanners,
+    validateBanners,
+    previewBanners,
+    writeReports,
+    getInvalidRows
+};
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const { Agent, buildConnector, fetch } = require('undici');
+
+// --- IMAGES ---
+// Images mapped from the CSV are fetched here rather than by the render page, so a broken URL
+// is an error we can report instead of a blank space on the banner. Every image is inlined as a
+// data URI (which also keeps the flattened SVG output self-contained) and cached by URL for the
+// rest of the job, so a logo used on every row is downloaded once.
+
+const FIT_MODES = ['contain', 'cover', 'fill'];
+const ON_ERROR = ['fallback', 'fail'];
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS, 10) || 15000;
+const MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 15 * 1024 * 1024;
+const MAX_CACHE_ENTRIES = 500;
+const MAX_REDIRECTS = 5;
+
+// Hosts allowed to resolve to a private address (an intranet image server), comma-separated
+const ALLOWED_HOSTS = (process.env.IMAGE_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+const MIME_BY_EXTENSION = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+
+// Validates the job's image settings: { fit, position, timeoutMs, onError, fallback }.
+// fallback is a URL (or data URI); IMAGE_FALLBACK sets a server-wide one.
+function normalizeImageOptions(options = {}) {
+    const fit = options.fit || 'contain';
+    if (!FIT_MODES.includes(fit)) throw new Error(`Images: unknown fit "${fit}" (use ${FIT_MODES.join(', ')})`);
+
+    const onError = options.onError || 'fallback';
+    if (!ON_ERROR.includes(onError)) throw new Error(`Images: onError must be one of ${ON_ERROR.join(', ')}`);
+
+    let timeoutMs = DEFAULT_TIMEOUT_MS;
+    if (options.timeoutMs !== undefined && options.timeoutMs !== '') {
+        timeoutMs = Number(options.timeoutMs);
+        if (!Number.isFinite(timeoutMs) || timeoutMs <= 0 || timeoutMs > 120000) {
+            throw new Error('Images: timeoutMs must be between 1 and 120000');
+        }
+    }
+
+    // Local paths are only accepted from server config, never from a request
+    if (options.fallback && !/^(https?:\/\/|data:)/i.test(options.fallback)) {
+        throw new Error('Images: fallback must be an http(s) URL or a data URI');
+    }
+
+    const position = options.position || 'center';
+    parsePosition(position); // Throws on anything it doesn't understand
+
+    return {
+        fit,
+        position,
+        timeoutMs,
+        onError,
+        fallback: options.fallback || process.env.IMAGE_FALLBACK || ''
+    };
+}
+
+// "center", "top", "left bottom", ... -> SVG preserveAspectRatio alignment (xMidYMid, xMinYMax, ...)
+function parsePosition(position) {
+    const words = String(position || 'center').toLowerCase().split(/[\s,-]+/).filter(Boolean);
+    let x = 'Mid';
+    let y = 'Mid';
+    words.forEach(word => {
+        if (word === 'left') x = 'Min';
+        else if (word === 'right') x = 'Max';
+        else if (word === 'top') y = 'Min';
+        else if (word === 'bottom') y = 'Max';
+        else if (word !== 'center' && word !== 'middle') throw new Error(`Images: unknown position "${position}"`);
+    });
+    return `x${x}Y${y}`;
+}
+
+// preserveAspectRatio for a fit mode: contain -> "<align> meet", cover -> "<align> slice", fill -> "none"
+function preserveAspectRatio(fit, position) {
+    if (fit === 'fill') return 'none';
+    return `${parsePosition(position)} ${fit === 'cover' ? 'slice' : 'meet'}`;
+}
+
+// Placeholder shapes (rect, circle, ...) take an image only when the value looks like one;
+// anything else is used as a fill colour
+function isImageValue(value) {
+    return /\.(jpeg|jpg|gif|png|webp|svg)(\?.*)?$/i.test(value) || /^(https?:|data:)/i.test(value);
+}
+
+// Identifies the format from the file's first bytes; servers often send the wrong content type
+function sniffMimeType(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.slice(0, 4).toString('ascii') === 'GIF8') return 'image/gif';
+    if (buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+
+    const head = buffer.slice(0, 512).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'image/svg+xml';
+    return null;
+}
+
+// --- PRIVATE ADDRESSES ---
+// Image URLs come from CSV rows, so they never reach the server's own network: loopback, private
+// and link-local ranges (the cloud metadata service at 169.254.169.254 included) are refused.
+// The check runs on the address each connection actually uses, redirects included, so a host
+// can't pass it and then resolve somewhere else for the request itself.
+const PRIVATE_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.168.0.0', 16], ['224.0.0.0', 3]].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+const privateAddressError = (host) => new Error(`${host} is a private network address (see IMAGE_ALLOWED_HOSTS)`);
+
+// dns.lookup, failing when the host resolves to a private address (unless it's allowed).
+// Called with { all: true } when the socket tries every address, so both answers are checked.
+function lookupPublic(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err || ALLOWED_HOSTS.includes(hostname.toLowerCase())) return callback(err, address, family);
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        if (addresses.some(entry => isPrivateAddress(entry.address))) return callback(privateAddressError(hostname));
+        callback(null, address, family);
+    });
+}
+
+const connectPublic = buildConnector({ lookup: lookupPublic });
+const publicAgent = new Agent({
+    // An IP address in the URL is connected to without a lookup, so it's checked here
+    connect(options, callback) {
+        const host = options.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (net.isIP(host) && !ALLOWED_HOSTS.includes(host) && isPrivateAddress(host)) return callback(privateAddressError(host), null);
+        connectPublic(options, callback);
+    }
+});
+
+async function download(url, timeoutMs) {
+    const signal = AbortSignal.timeout(timeoutMs);
+    let response;
+    try {
+        // Redirects are followed by hand, to keep them to http(s) and a few hops
+        let target = new URL(url);
+        for (let redirects = 0; ; redirects++) {
+            response = await fetch(target, { signal, redirect: 'manual', dispatcher: publicAgent });
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status >= 400 || !location) break;
+
+            if (response.body) await response.body.cancel();
+            if (redirects >= MAX_REDIRECTS) throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+            target = new URL(location, target);
+            if (!/^https?:$/.test(target.protocol)) throw new Error(`redirected to a ${target.protocol} URL`);
+        }
+    } catch (e) {
+        if (e.name === 'TimeoutError') throw new Error(`timed out after ${timeoutMs}ms`);
+        throw new Error(e.cause ? e.cause.message : e.message);
+    }
+    if (!response.ok) throw new Error(`server responded with ${response.status} ${response.statusText}`);
+
+    const length = parseInt(response.headers.get('content-length'), 10);
+    if (length > MAX_BYTES) throw new Error(`image is larger than ${Math.round(MAX_BYTES / 1024 / 1024)}MB`);
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_BYTES) throw new Error(`image is larger than ${Math.round(MAX_BYTES / 1024 / 1024)}MB`);
+    return buffer;
+}
+
+async function loadImage(url, timeoutMs, allowFile) {
+    if (url.startsWith('data:')) {
+        const match = url.match(/^data:([^;,]+)?(;base64)?,/);
+        if (!match) throw new Error('malformed data URI');
+        const data = url.slice(match[0].length);
+        const buffer = match[2] ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data));
+        return { buffer, mimeType: sniffMimeType(buffer) };
+    }
+
+    if (/^https?:\/\//i.test(url)) {
+        const buffer = await download(url, timeoutMs);
+        return { buffer, mimeType: sniffMimeType(buffer) };
+    }
+
+    if (!allowFile) throw new Error('not an http(s) URL or data URI');
+
+    // Local file: the uploaded fallback image or IMAGE_FALLBACK
+    const buffer = await fs.promises.readFile(url);
+    return { buffer, mimeType: sniffMimeType(buffer) || MIME_BY_EXTENSION[path.extname(url).toLowerCase()] };
+}
+
+// options: { timeoutMs, transform } - transform({ dataUri, mimeType }) can re-encode an image
+// (e.g. WebP to PNG) and runs once per URL, before the result is cached.
+function createImageFetcher(options = {}) {
+    const { timeoutMs = DEFAULT_TIMEOUT_MS, transform } = options;
+    const cache = new Map(); // url -> Promise<{ dataUri, mimeType }>, failures included
+
+    const fetchImage = async (url, allowFile) => {
+        const { buffer, mimeType } = await loadImage(url, timeoutMs, allowFile);
+        if (!mimeType) throw new Error('not a PNG, JPEG, GIF, WebP or SVG image');
+
+        const image = { dataUri: `data:${mimeType};base64,${buffer.toString('base64')}`, mimeType };
+        return transform ? transform(image) : image;
+    };
+
+    return {
+        // Resolves to { dataUri, mimeType }; rejects with a readable reason.
+        // options.allowFile permits local paths, for server-side files only (never CSV values).
+        load(url, { allowFile = false } = {}) {
+            const source = String(url).trim();
+            const key = allowFile ? `file:${source}` : source;
+            if (!cache.has(key)) {
+                if (cache.size >= MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+                cache.set(key, fetchImage(source, allowFile));
+            }
+            return cache.get(key);
+        }
+    };
+}
+
+module.exports = { FIT_MODES, normalizeImageOptions, preserveAspectRatio, isImageValue, createImageFetcher };
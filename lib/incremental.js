@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- INCREMENTAL RUNS ---
+// Every row's output is keyed by a hash of what goes into it: the templates' SVGs and fonts, the
+// mapping, the render options (outputs, fit, images, barcodes) and the row's own values. A run
+// reuses an earlier run's files, and upload URLs, for rows whose hash it has seen, so changing
+// the prices of 10 rows out of 400 renders and uploads 10. File names and upload settings aren't
+// part of the hash: a reused render is copied under its new name, and its URLs are only reused
+// when the earlier run uploaded with the same provider. Images are compared by URL, not content.
+//
+// The render key hashes the job-wide part and each row's hash adds its values to it. Both are
+// written to manifest.json, which is where an earlier run is read back from.
+
+const RENDER_KEY_VERSION = 1; // Bump when the engine starts drawing the same inputs differently
+const REUSABLE_STATUSES = ['rendered', 'uploaded', 'upload_failed'];
+const RETRY_STATUSES = ['render_failed', 'upload_failed'];
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hashFile = (file) => sha256(fs.readFileSync(file));
+
+// JSON with object keys sorted, so the same settings hash the same whatever order they came in
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// settings: { templates ([{ key, svgSource, mapping, fonts }]), fonts (font file paths), outputs,
+// fit, images, barcodes, templateBy }, as validated for generateBanners. A single template without
+// a key hashes as it always has, so earlier runs stay reusable. The image timeout and the fallback
+// file's path don't change what's drawn; the fallback file's content does.
+function getRenderKey({ templates, fonts = [], outputs, fit, images, barcodes, templateBy = null }) {
+    const { fallbackFile, timeoutMs, ...imageOptions } = images;
+    const single = templates.length === 1 && !templates[0].key;
+    const hashTemplate = (template) => ({
+        svg: sha256(template.svgSource),
+        fonts: [...fonts, ...(template.fonts || [])].map(hashFile).sort(),
+        mapping: template.mapping
+    });
+    return sha256(stableStringify({
+        version: RENDER_KEY_VERSION,
+        ...(single ? hashTemplate(templates[0]) : {
+            templates: templates.map(template => ({ key: template.key, ...hashTemplate(template) })),
+            templateBy
+        }),
+        outputs,
+        fit,
+        images: { ...imageOptions, fallbackFile: fallbackFile ? hashFile(fallbackFile) : null },
+        barcodes
+    }));
+}
+
+function getRowHash(renderKey, row) {
+    return sha256(`${renderKey}\n${stableStringify(row)}`);
+}
+
+// An earlier run, read from the manifest.json in its folder: { dir, total, uploadProvider, rows
+// (manifest rows by CSV index), byHash }. null when the folder has no readable manifest.
+function readPreviousRun(dir) {
+    const file = dir ? path.join(dir, 'manifest.json') : null;
+    if (!file || !fs.existsSync(file)) return null;
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+
+    const rows = [];
+    const byHash = new Map();
+    (manifest.rows || []).forEach(row => {
+        rows[row.index] = row;
+        if (row.hash && REUSABLE_STATUSES.includes(row.status) && !byHash.has(row.hash)) byHash.set(row.hash, row);
+    });
+    return { dir, total: manifest.total || 0, uploadProvider: manifest.uploadProvider || null, rows, byHash };
+}
+
+// The earlier run's row with this hash, if it rendered and still has a file for each of
+// variantKeys (an output's key, or a template's with several templates)
+function findReusableRow(previous, hash, variantKeys) {
+    const row = previous ? previous.byHash.get(hash) : null;
+    if (!row) return null;
+    const complete = variantKeys.every(key => {
+        const file = row.files.find(f => f.key === key);
+        return file && fs.existsSync(path.join(previous.dir, file.file));
+    });
+    return complete ? row : null;
+}
+
+// Row indexes of an earlier run worth another go: rows that failed to render or upload, and rows
+// it never got to (cancelled, or cut off by a restart). Skipped rows failed validation and would
+// again, so they're left alone.
+function getRetryRows(previous) {
+    const indexes = [];
+    for (let i = 0; i < previous.total; i++) {
+        if (!previous.rows[i] || RETRY_STATUSES.includes(previous.rows[i].status)) indexes.push(i);
+    }
+    return indexes;
+}
+
+module.exports = { getRenderKey, getRowHash, readPreviousRun, findReusableRow, getRetryRows };
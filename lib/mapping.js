@@ -0,0 +1,110 @@
+const { parse, evaluate, getColumns, truthy } = require('./expressions');
+const { BARCODE_FORMATS } = require('./barcodes');
+
+// --- MAPPING ---
+// A mapping ties template elements, by id, to the data. An entry is either a column name, which
+// sets the element's content as it always has (text, image, or a shape's fill), or an object:
+//   { "column": "badge_colour", "attribute": "fill" }     a style attribute from a column
+//   { "column": "discount", "condition": "rate != mrp" }   content, only on rows where it holds
+//   { "condition": "is_new" }                             visibility alone
+// attribute is content (the default), fill, stroke, opacity or font-size, or a barcode drawn
+// from the column into a placeholder rect or image: qr, ean13 or code128 (see lib/barcodes.js).
+// A condition is an expression like a placeholder's ({{...}} without the braces); elements whose
+// condition is false on a row are hidden, and nothing inside them is evaluated.
+
+const ATTRIBUTES = ['content', 'fill', 'stroke', 'opacity', 'font-size', ...Object.keys(BARCODE_FORMATS)];
+
+// Checks a mapping from a request, CLI flag or saved template and returns it in its compact
+// form: plain content mappings as column names, everything else as { column, attribute, condition }
+// with the defaults left out. Entries mapping nothing are dropped. Throws on bad entries.
+function normalizeMapping(mapping) {
+    if (mapping === undefined) return {};
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('Mapping must be an object of { elementId: column }');
+    }
+
+    const result = {};
+    Object.keys(mapping).forEach(svgId => {
+        const value = mapping[svgId];
+        if (value === undefined || value === null || value === '') return;
+        if (typeof value === 'string') {
+            result[svgId] = value;
+            return;
+        }
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`Mapping: #${svgId} must be a column name or { column, attribute, condition }`);
+        }
+
+        const column = String(value.column || '');
+        const attribute = String(value.attribute || 'content').toLowerCase();
+        const condition = String(value.condition || '').trim();
+        if (!ATTRIBUTES.includes(attribute)) {
+            throw new Error(`Mapping: #${svgId}: attribute must be one of ${ATTRIBUTES.join(', ')}`);
+        }
+        if (attribute !== 'content' && !column) {
+            throw new Error(`Mapping: #${svgId}: a ${attribute} mapping needs a column`);
+        }
+        if (condition) {
+            try {
+                parse(condition);
+            } catch (e) {
+                throw new Error(`Mapping: #${svgId}: condition: ${e.message}`);
+            }
+        }
+
+        if (!column && !condition) return;
+        if (attribute === 'content' && !condition) {
+            result[svgId] = column;
+            return;
+        }
+        result[svgId] = {
+            ...(column ? { column } : {}),
+            ...(attribute !== 'content' ? { attribute } : {}),
+            ...(condition ? { condition } : {})
+        };
+    });
+    return result;
+}
+
+// One entry in full: { column, attribute, condition } (column and condition '' when not set)
+function getMappingEntry(value) {
+    if (typeof value === 'string') return { column: value, attribute: 'content', condition: '' };
+    const entry = value || {};
+    return {
+        column: entry.column || '',
+        attribute: entry.attribute || 'content',
+        condition: entry.condition || ''
+    };
+}
+
+// Every entry in full, for the render page and the checks below
+function expandMapping(mapping) {
+    const result = {};
+    Object.keys(mapping || {}).forEach(svgId => { result[svgId] = getMappingEntry(mapping[svgId]); });
+    return result;
+}
+
+// Columns an entry's condition reads ([] without one, or when it doesn't parse)
+function getConditionColumns(value) {
+    const { condition } = getMappingEntry(value);
+    if (!condition) return [];
+    try {
+        return getColumns(condition);
+    } catch (e) {
+        return [];
+    }
+}
+
+// Whether the element is shown on this row. A condition that fails to evaluate counts as shown;
+// the render page reports the error against the row.
+function isShown(value, row) {
+    const { condition } = getMappingEntry(value);
+    if (!condition) return true;
+    try {
+        return truthy(evaluate(condition, row));
+    } catch (e) {
+        return true;
+    }
+}
+
+module.exports = { ATTRIBUTES, normalizeMapping, getMappingEntry, expandMapping, getConditionColumns, isShown };
@@ -0,0 +1,89 @@
+// --- OUTPUT FORMATS ---
+// A job asks for one or more outputs, e.g.
+//   [{ format: 'png', scale: 3 }, { format: 'jpeg', width: 1080, quality: 80 }, { format: 'svg' }]
+// Raster formats are sized by `scale` or by a target `width`/`height` box (aspect ratio is kept).
+// PDF and SVG stay vector at the template's own size.
+
+const FORMATS = {
+    png: { ext: 'png', raster: true, transparency: true },
+    jpeg: { ext: 'jpg', raster: true, transparency: false },
+    webp: { ext: 'webp', raster: true, transparency: true },
+    pdf: { ext: 'pdf', raster: false, transparency: false },
+    svg: { ext: 'svg', raster: false, transparency: true }
+};
+
+const DEFAULT_SCALE = 3;
+const DEFAULT_OUTPUTS = [{ format: 'png', scale: DEFAULT_SCALE }];
+const MAX_SCALE = 10;
+const MAX_DIMENSION = 10000;
+
+// Validates a requested output list and fills in defaults. Throws on anything unusable.
+function normalizeOutputs(requested) {
+    const list = Array.isArray(requested) && requested.length > 0 ? requested : DEFAULT_OUTPUTS;
+
+    const outputs = list.map((output, i) => {
+        const format = String(output.format || 'png').toLowerCase().replace(/^jpg$/, 'jpeg');
+        if (!FORMATS[format]) {
+            throw new Error(`Output ${i + 1}: unsupported format "${output.format}" (use ${Object.keys(FORMATS).join(', ')})`);
+        }
+
+        const toPositive = (value, field) => {
+            if (value === undefined || value === null || value === '') return undefined;
+            const n = Number(value);
+            if (!Number.isFinite(n) || n <= 0) throw new Error(`Output ${i + 1}: ${field} must be a positive number`);
+            return n;
+        };
+
+        const width = toPositive(output.width, 'width');
+        const height = toPositive(output.height, 'height');
+        const scale = toPositive(output.scale, 'scale');
+        if (scale > MAX_SCALE) throw new Error(`Output ${i + 1}: scale can be at most ${MAX_SCALE}`);
+        if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+            throw new Error(`Output ${i + 1}: width and height can be at most ${MAX_DIMENSION}px`);
+        }
+
+        let quality;
+        if (['jpeg', 'webp'].includes(format)) {
+            quality = Math.round(toPositive(output.quality, 'quality') || 90);
+            if (quality > 100) throw new Error(`Output ${i + 1}: quality must be between 1 and 100`);
+        }
+
+        return {
+            format,
+            ext: FORMATS[format].ext,
+            raster: FORMATS[format].raster,
+            quality,
+            width,
+            height,
+            // Without a target size, raster outputs keep the long-standing 3x default
+            scale: FORMATS[format].raster && !width && !height ? scale || DEFAULT_SCALE : undefined,
+            transparent: Boolean(output.transparent) && FORMATS[format].transparency
+        };
+    });
+
+    // Outputs are grouped into one folder per format; repeated formats get a size suffix
+    const sizeLabel = (o) => o.width || o.height ? `${o.width || 'auto'}x${o.height || 'auto'}` : o.scale ? `${o.scale}x` : 'vector';
+    outputs.forEach(output => {
+        const sameFormat = outputs.filter(o => o.format === output.format);
+        const sameSize = sameFormat.filter(o => sizeLabel(o) === sizeLabel(output));
+
+        output.dir = output.format;
+        output.suffix = '';
+        if (sameFormat.length > 1) output.suffix = `_${sizeLabel(output)}`;
+        if (sameSize.length > 1) output.suffix += `_${sameSize.indexOf(output) + 1}`;
+        output.key = `${output.format}${output.suffix}`;
+    });
+
+    return outputs;
+}
+
+// Device scale factor needed to render the template (baseWidth x baseHeight) for this output
+function resolveScale(output, baseWidth, baseHeight) {
+    if (!output.raster) return 1;
+    if (output.width && output.height) return Math.min(output.width / baseWidth, output.height / baseHeight);
+    if (output.width) return output.width / baseWidth;
+    if (output.height) return output.height / baseHeight;
+    return output.scale;
+}
+
+module.exports = { FORMATS, normalizeOutputs, resolveScale };
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- SESSIONS ---
+// Every job writes into its own session folder under <SESSIONS_DIR>/<id>: the rendered files,
+// report, manifest.json and a session.json describing the run (template, data file, row count,
+// status), plus .input/ with what the job was made from, so its failed rows can be retried later.
+// Ids are random, so a session's files can only be reached by whoever started it,
+// and are checked before they go anywhere near a path. A sweeper deletes sessions past their
+// TTL, then the oldest ones while the folder is over its disk quota.
+
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(__dirname, '..', 'public', 'temp');
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+const LEGACY_PATTERN = /^\d{13}$/; // Folders from before ids were random: named by Date.now()
+const METADATA_FILE = 'session.json';
+const INPUT_DIR = '.input'; // File names are slugged without leading dots, so no row's folder can take it
+const JOB_FILE = 'job.json';
+
+// 0 turns the limit off
+const envNumber = (name, fallback) => {
+    const n = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+const TTL_HOURS = envNumber('SESSION_TTL_HOURS', 24);
+const MAX_DISK_MB = envNumber('SESSION_MAX_DISK_MB', 2048);
+const SWEEP_INTERVAL_MS = envNumber('SESSION_SWEEP_INTERVAL_MS', 10 * 60 * 1000);
+const UPLOAD_MAX_AGE_MS = 60 * 60 * 1000; // Leftovers from requests that never finished
+
+class SessionError extends Error {
+    constructor(message, status = 404) {
+        super(message);
+        this.name = 'SessionError';
+        this.status = status;
+    }
+}
+
+const isSessionId = (id) => ID_PATTERN.test(String(id));
+
+function sessionDir(id) {
+    if (!isSessionId(id)) throw new SessionError('Session expired or not found');
+    return path.join(SESSIONS_DIR, id);
+}
+
+// The folder of an existing session; 404 for malformed, expired or deleted ids
+function getSessionDir(id) {
+    const dir = sessionDir(id);
+    if (!fs.existsSync(dir)) throw new SessionError('Session expired or not found');
+    return dir;
+}
+
+// A file the session wrote (report.csv, manifest.json, ...), or a 404 naming what's missing
+function getSessionFile(id, fileName, label = fileName) {
+    const file = path.join(getSessionDir(id), fileName);
+    if (!fs.existsSync(file)) throw new SessionError(`${label} not found`);
+    return file;
+}
+
+function readMetadata(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, METADATA_FILE), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Write-then-rename, as for template.json
+function writeMetadata(dir, metadata) {
+    const file = path.join(dir, METADATA_FILE);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(metadata, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+// details: { template: { id, version, name } | { file }, data: { file, format, sheet } } - what
+// the run was made from
+function createSession(details = {}) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const dir = sessionDir(id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const now = new Date().toISOString();
+    writeMetadata(dir, {
+        id,
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        status: 'queued',
+        template: details.template || null,
+        data: details.data || null,
+        rows: null,
+        counts: null,
+        renderKey: null,
+        error: null
+    });
+    return { id, dir };
+}
+
+// Merges fields into session.json, e.g. { status, rows, counts, finishedAt } as the job moves on
+function updateSession(id, fields) {
+    const dir = getSessionDir(id);
+    writeMetadata(dir, { ...readMetadata(dir), ...fields, updatedAt: new Date().toISOString() });
+}
+
+// Files and bytes under a folder
+function measure(dir) {
+    let files = 0;
+    let bytes = 0;
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            const inner = measure(entryPath);
+            files += inner.files;
+            bytes += inner.bytes;
+        } else if (entry.name !== METADATA_FILE) {
+            files++;
+            bytes += fs.statSync(entryPath).size;
+        }
+    });
+    return { files, bytes };
+}
+
+// session.json plus what's on disk; folders without one (legacy, or a crash before it was
+// written) fall back to the folder's date
+function describeSession(id) {
+    const dir = path.join(SESSIONS_DIR, id);
+    const metadata = readMetadata(dir) || {};
+    return {
+        id,
+        createdAt: metadata.createdAt || fs.statSync(dir).mtime.toISOString(),
+        finishedAt: metadata.finishedAt || null,
+        status: metadata.status || 'unknown',
+        template: metadata.template || null,
+        data: metadata.data || null,
+        rows: metadata.rows !== undefined ? metadata.rows : null,
+        counts: metadata.counts || null,
+        renderKey: metadata.renderKey || null,
+        error: metadata.error || null,
+        ...measure(dir)
+    };
+}
+
+// Session folders on disk, newest first; legacy timestamp ones only for the sweeper
+function readSessions({ includeLegacy = false } = {}) {
+    if (!fs.existsSync(SESSIONS_DIR)) return [];
+    return fs.readdirSync(SESSIONS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && (isSessionId(entry.name) || (includeLegacy && LEGACY_PATTERN.test(entry.name))))
+        .map(entry => describeSession(entry.name))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function listSessions() {
+    return readSessions();
+}
+
+function getSession(id) {
+    getSessionDir(id);
+    return describeSession(id);
+}
+
+// Copies a job's inputs into the session's .input/ folder: files is { svg, data, fallbackImage,
+// fonts, templates } (paths; fallbackImage may be null; a job with several templates has
+// templates: [{ key, svg, fonts }] instead of svg), job the settings to rerun it with. Returns the
+// same shape as readSessionInput(), pointing at the copies.
+function saveSessionInput(id, files, job) {
+    const dir = path.join(getSessionDir(id), INPUT_DIR);
+    fs.mkdirSync(path.join(dir, 'fonts'), { recursive: true });
+    const copy = (source, name) => {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.copyFileSync(source, path.join(dir, name));
+        return name;
+    };
+    const saved = {
+        svg: files.svg ? copy(files.svg, 'template.svg') : null,
+        data: copy(files.data, 'data'),
+        fallbackImage: files.fallbackImage ? copy(files.fallbackImage, 'fallback') : null,
+        fonts: (files.fonts || []).map(font => copy(font, path.join('fonts', path.basename(font)))),
+        templates: (files.templates || []).map(template => ({
+            key: template.key,
+            svg: copy(template.svg, path.join('templates', template.key, 'template.svg')),
+            fonts: template.fonts.map(font => copy(font, path.join('templates', template.key, 'fonts', path.basename(font))))
+        }))
+    };
+    fs.writeFileSync(path.join(dir, JOB_FILE), JSON.stringify({ files: saved, job }, null, 2));
+    return readSessionInput(id);
+}
+
+// What a session's job was made from, as saved by saveSessionInput(): { files (absolute paths), job }.
+// 409 for sessions from before inputs were kept.
+function readSessionInput(id) {
+    const dir = path.join(getSessionDir(id), INPUT_DIR);
+    let saved;
+    try {
+        saved = JSON.parse(fs.readFileSync(path.join(dir, JOB_FILE), 'utf8'));
+    } catch (e) {
+        throw new SessionError("This session didn't keep its input files, so it can't be retried", 409);
+    }
+    const resolve = (name) => path.join(dir, name);
+    return {
+        files: {
+            svg: saved.files.svg ? resolve(saved.files.svg) : null,
+            data: resolve(saved.files.data),
+            fallbackImage: saved.files.fallbackImage ? resolve(saved.files.fallbackImage) : null,
+            fonts: saved.files.fonts.map(resolve),
+            templates: (saved.files.templates || []).map(template => ({
+                key: template.key,
+                svg: resolve(template.svg),
+                fonts: template.fonts.map(resolve)
+            }))
+        },
+        job: saved.job
+    };
+}
+
+// The folder of the newest finished session rendered with this render key (see lib/incremental.js),
+// for a new run to reuse its unchanged rows; null when there's none
+function findSessionByRenderKey(renderKey, excludeId) {
+    const session = readSessions().find(s => s.id !== excludeId && s.renderKey === renderKey
+        && !['queued', 'running'].includes(s.status) && fs.existsSync(path.join(SESSIONS_DIR, s.id, 'manifest.json')));
+    return session ? path.join(SESSIONS_DIR, session.id) : null;
+}
+
+function deleteSession(id) {
+    fs.rmSync(getSessionDir(id), { recursive: true, force: true });
+}
+
+// Jobs live in memory, so sessions left queued or running by a server that stopped mid-job
+// will never finish; they're marked interrupted on startup (rows already rendered are kept)
+function markInterrupted() {
+    readSessions()
+        .filter(session => ['queued', 'running'].includes(session.status))
+        .forEach(session => updateSession(session.id, { status: 'interrupted', finishedAt: new Date().toISOString() }));
+}
+
+// Deletes sessions older than the TTL, then the oldest while the folder is over its quota.
+// isActive(id) protects sessions a job is still writing to. Returns { removed, freedBytes }.
+function sweepSessions({ isActive = () => false, now = Date.now() } = {}) {
+    const all = readSessions({ includeLegacy: true });
+    const sessions = all.filter(session => !isActive(session.id));
+    const removed = [];
+    let freedBytes = 0;
+    const remove = (session) => {
+        fs.rmSync(path.join(SESSIONS_DIR, session.id), { recursive: true, force: true });
+        removed.push(session.id);
+        freedBytes += session.bytes;
+    };
+
+    // Age counts from when the run finished, so a long job isn't swept the moment it ends
+    const ttlMs = TTL_HOURS * 60 * 60 * 1000;
+    const kept = sessions.filter(session => {
+        const age = now - Date.parse(session.finishedAt || session.createdAt);
+        if (TTL_HOURS > 0 && age > ttlMs) {
+            remove(session);
+            return false;
+        }
+        return true;
+    });
+
+    if (MAX_DISK_MB > 0) {
+        let total = all.reduce((sum, session) => sum + session.bytes, 0) - freedBytes;
+        const limit = MAX_DISK_MB * 1024 * 1024;
+        kept.reverse(); // Oldest first
+        for (const session of kept) {
+            if (total <= limit) break;
+            remove(session);
+            total -= session.bytes;
+        }
+    }
+
+    return { removed, freedBytes };
+}
+
+// Deletes files in uploadsDir older than an hour that aren't in use (inUse(path))
+function sweepUploads(uploadsDir, { inUse = () => false, now = Date.now() } = {}) {
+    if (!fs.existsSync(uploadsDir)) return 0;
+    let removed = 0;
+    fs.readdirSync(uploadsDir).forEach(name => {
+        const file = path.join(uploadsDir, name);
+        try {
+            if (now - fs.statSync(file).mtimeMs > UPLOAD_MAX_AGE_MS && !inUse(file)) {
+                fs.unlinkSync(file);
+                removed++;
+            }
+        } catch (e) {
+            // Already gone
+        }
+    });
+    return removed;
+}
+
+// Sweeps now and every SESSION_SWEEP_INTERVAL_MS. options: { isActive, onRemove(id), uploadsDir, inUse }
+function startSweeper(options = {}) {
+    const { isActive, onRemove = () => { }, uploadsDir, inUse } = options;
+    const sweep = () => {
+        try {
+            const { removed, freedBytes } = sweepSessions({ isActive });
+            removed.forEach(onRemove);
+            const uploads = uploadsDir ? sweepUploads(uploadsDir, { inUse }) : 0;
+            if (removed.length > 0 || uploads > 0) {
+                console.log(`Session sweep: removed ${removed.length} sessions (${Math.round(freedBytes / 1024 / 1024)}MB) and ${uploads} stale uploads`);
+            }
+        } catch (e) {
+            console.error('Session sweep failed:', e.message);
+        }
+    };
+    sweep();
+    if (SWEEP_INTERVAL_MS === 0) return () => { };
+    const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    SESSIONS_DIR,
+    SessionError,
+    isSessionId,
+    getSessionDir,
+    getSessionFile,
+    createSession,
+    updateSession,
+    saveSessionInput,
+    readSessionInput,
+    findSessionByRenderKey,
+    listSessions,
+    getSession,
+    deleteSession,
+    markInterrupted,
+    sweepSessions,
+    sweepUploads,
+    startSweeper
+};
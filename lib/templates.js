@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { extractPlaceholders, getColumns } = require('./expressions');
+const { getMappingEntry, getConditionColumns } = require('./mapping');
+const { FONT_EXTENSIONS, readFontFile } = require('./fonts');
+
+// --- TEMPLATE LIBRARY ---
+// Saved templates live on disk, one folder each:
+//   <TEMPLATES_DIR>/<id>/template.json   name + version history (mapping, options, detected elements)
+//   <TEMPLATES_DIR>/<id>/v<N>.svg        the SVG of each version
+//   <TEMPLATES_DIR>/<id>/fonts/          font files for the SVG's font-family names (see lib/fonts.js)
+// Every save that changes the SVG, mapping or options adds a version; old versions stay
+// usable, so a redesign never breaks a mapping that was working last week. Fonts belong to the
+// template rather than a version: every version renders with the fonts it has now.
+
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, '..', 'data', 'templates');
+const ID_PATTERN = /^[a-f0-9]{12}$/;
+const ELEMENT_TAGS = ['text', 'tspan', 'image', 'rect', 'circle', 'ellipse', 'path', 'g'];
+
+class TemplateError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TemplateError';
+        this.status = status;
+    }
+}
+
+// Text content of the SVG with the tags stripped, so placeholders split across <tspan>s read whole
+function getTemplateText(svg) {
+    return svg
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&(apos|#39);/g, "'").replace(/&amp;/g, '&');
+}
+
+// Elements with an id (what the mapping UI offers) and the distinct placeholders in the text
+function describeSvg(svg) {
+    const elements = [];
+    for (const match of svg.matchAll(/<([\w:-]+)\b([^>]*)>/g)) {
+        const tag = match[1].toLowerCase();
+        const id = (match[2].match(/\sid="([^"]*)"/) || [])[1];
+        if (id && ELEMENT_TAGS.includes(tag)) elements.push({ id, tag });
+    }
+    return { elements, placeholders: Array.from(new Set(extractPlaceholders(getTemplateText(svg)))) };
+}
+
+function templateDir(id) {
+    if (!ID_PATTERN.test(String(id))) throw new TemplateError(`Template "${id}" not found`, 404);
+    return path.join(TEMPLATES_DIR, id);
+}
+
+function readTemplate(id) {
+    const file = path.join(templateDir(id), 'template.json');
+    if (!fs.existsSync(file)) throw new TemplateError(`Template "${id}" not found`, 404);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Write-then-rename so a crash never leaves a half-written template.json behind
+function writeTemplate(template) {
+    const file = path.join(templateDir(template.id), 'template.json');
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(template, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+function getVersion(template, version) {
+    const number = version === undefined || version === null || version === '' ? template.currentVersion : Number(version);
+    const entry = template.versions.find(v => v.version === number);
+    if (!entry) throw new TemplateError(`Template "${template.name}" has no version ${version}`, 404);
+    return entry;
+}
+
+function validateSvg(svg) {
+    if (!/<svg[\s>]/i.test(svg)) throw new TemplateError('Template file is not an SVG');
+}
+
+function addVersion(template, { svg, mapping, options, note }) {
+    const previous = template.versions.length > 0 ? getVersion(template) : null;
+    const version = previous ? Math.max(...template.versions.map(v => v.version)) + 1 : 1;
+    const svgFile = previous && svg === undefined ? previous.svgFile : `v${version}.svg`;
+
+    if (svg !== undefined) {
+        validateSvg(svg);
+        fs.writeFileSync(path.join(templateDir(template.id), svgFile), svg);
+    }
+    const source = svg !== undefined ? svg : fs.readFileSync(path.join(templateDir(template.id), svgFile), 'utf8');
+
+    template.versions.push({
+        version,
+        createdAt: new Date().toISOString(),
+        note: note || '',
+        svgFile,
+        ...describeSvg(source),
+        mapping: mapping !== undefined ? mapping : (previous ? previous.mapping : {}),
+        options: options !== undefined ? options : (previous ? previous.options : {})
+    });
+    template.currentVersion = version;
+    template.updatedAt = new Date().toISOString();
+}
+
+function summarize(template) {
+    return {
+        id: template.id,
+        name: template.name,
+        currentVersion: template.currentVersion,
+        versionCount: template.versions.length,
+        createdAt: template.createdAt,
+        updatedAt: template.updatedAt
+    };
+}
+
+function listTemplates() {
+    if (!fs.existsSync(TEMPLATES_DIR)) return [];
+    return fs.readdirSync(TEMPLATES_DIR)
+        .filter(id => ID_PATTERN.test(id) && fs.existsSync(path.join(TEMPLATES_DIR, id, 'template.json')))
+        .map(id => summarize(readTemplate(id)))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Full record: summary, every version's metadata, the fonts and the requested (default: current) version
+function getTemplate(id, version) {
+    const template = readTemplate(id);
+    const versions = template.versions.map(({ version: number, createdAt, note, svgFile }) => ({ version: number, createdAt, note, svgFile }));
+    return { ...summarize(template), versions, fonts: listTemplateFonts(id), current: getVersion(template, version) };
+}
+
+function getTemplateSvgPath(id, version) {
+    const template = readTemplate(id);
+    return path.join(templateDir(id), getVersion(template, version).svgFile);
+}
+
+// data: { name, svg, mapping, options, note }
+function createTemplate(data) {
+    const name = String(data.name || '').trim();
+    if (!name) throw new TemplateError('Template name is required');
+    if (data.svg === undefined) throw new TemplateError('Template SVG is required');
+    validateSvg(data.svg);
+
+    const now = new Date().toISOString();
+    const template = { id: crypto.randomBytes(6).toString('hex'), name, createdAt: now, updatedAt: now, currentVersion: 0, versions: [] };
+    fs.mkdirSync(templateDir(template.id), { recursive: true });
+
+    addVersion(template, { svg: data.svg, mapping: data.mapping || {}, options: data.options || {}, note: data.note || 'Created' });
+    writeTemplate(template);
+    return getTemplate(template.id);
+}
+
+// data: { name, svg, mapping, options, note } - anything left out is carried over.
+// A rename on its own doesn't add a version.
+function updateTemplate(id, data) {
+    const template = readTemplate(id);
+
+    if (data.name !== undefined) {
+        const name = String(data.name).trim();
+        if (!name) throw new TemplateError('Template name is required');
+        template.name = name;
+        template.updatedAt = new Date().toISOString();
+    }
+
+    if (data.svg !== undefined || data.mapping !== undefined || data.options !== undefined) {
+        addVersion(template, data);
+    }
+
+    writeTemplate(template);
+    return getTemplate(id);
+}
+
+function deleteTemplate(id) {
+    readTemplate(id); // 404 for unknown ids
+    fs.rmSync(templateDir(id), { recursive: true, force: true });
+}
+
+// --- TEMPLATE FONTS ---
+
+const fontsDir = (id) => path.join(templateDir(id), 'fonts');
+
+function getTemplateFontPaths(id) {
+    const dir = fontsDir(id);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).sort().map(file => path.join(dir, file));
+}
+
+// [{ file, family, weight, style }]
+function listTemplateFonts(id) {
+    return getTemplateFontPaths(id).map(file => ({ file: path.basename(file), ...readFontFile(file) }));
+}
+
+// Stores an uploaded font under its own (cleaned up) name, replacing a font of the same name.
+// Returns the template's fonts.
+function addTemplateFont(id, uploadPath, originalName) {
+    const template = readTemplate(id);
+    const parsed = path.parse(String(originalName || ''));
+    const ext = parsed.ext.slice(1).toLowerCase();
+    if (!FONT_EXTENSIONS.includes(ext)) {
+        throw new TemplateError(`"${parsed.base}" is not a font file (use ${FONT_EXTENSIONS.map(e => e.toUpperCase()).join(', ')})`);
+    }
+    try {
+        readFontFile(uploadPath);
+    } catch (e) {
+        throw new TemplateError(e.message.replace(path.basename(uploadPath), parsed.base));
+    }
+
+    const file = `${parsed.name.replace(/[^\w.-]+/g, '_') || 'font'}.${ext}`;
+    fs.mkdirSync(fontsDir(id), { recursive: true });
+    fs.copyFileSync(uploadPath, path.join(fontsDir(id), file));
+    template.updatedAt = new Date().toISOString();
+    writeTemplate(template);
+    return listTemplateFonts(id);
+}
+
+function deleteTemplateFont(id, file) {
+    const template = readTemplate(id);
+    const fontPath = path.join(fontsDir(id), path.basename(String(file)));
+    if (!fs.existsSync(fontPath)) throw new TemplateError(`Template "${template.name}" has no font "${file}"`, 404);
+    fs.unlinkSync(fontPath);
+    template.updatedAt = new Date().toISOString();
+    writeTemplate(template);
+    return listTemplateFonts(id);
+}
+
+// Re-applies a saved mapping to a CSV with (possibly) different headers. Exact names are kept,
+// names that only differ in case, spaces or punctuation ("Product Name" vs "product_name") are
+// carried over to the new header, and the rest are reported as missing. Conditions are kept as
+// written; columns they read that the CSV lacks are reported with the placeholders.
+function remapMapping(mapping, headers, placeholders = []) {
+    const normalize = (name) => String(name).toLowerCase().replace(/[^a-z0-9\u0900-\u097F]/g, '');
+    const result = {};
+    const remapped = [];
+    const missing = [];
+    const missingConditions = [];
+
+    Object.keys(mapping || {}).forEach(svgId => {
+        const entry = mapping[svgId];
+        const header = getMappingEntry(entry).column;
+        // Style and visibility settings go with whichever column the entry ends up on
+        const withColumn = (column) => typeof entry === 'string' ? column : { ...entry, column };
+
+        getConditionColumns(entry).filter(column => !headers.includes(column)).forEach(column => {
+            missingConditions.push({ svgId, column });
+        });
+        if (!header) {
+            if (entry) result[svgId] = entry; // Visibility only
+            return;
+        }
+        if (headers.includes(header)) {
+            result[svgId] = entry;
+            return;
+        }
+        const match = headers.find(h => normalize(h) === normalize(header));
+        if (match) {
+            result[svgId] = withColumn(match);
+            remapped.push({ svgId, from: header, to: match });
+        } else {
+            missing.push({ svgId, header });
+        }
+    });
+
+    // Placeholders reading columns this CSV doesn't have (plain header names count as columns)
+    const missingPlaceholders = placeholders.filter(source => {
+        if (headers.includes(source)) return false;
+        try {
+            return getColumns(source).some(column => !headers.includes(column));
+        } catch (e) {
+            return false; // Syntax errors are reported when the job starts
+        }
+    });
+
+    return { mapping: result, remapped, missing, missingConditions, missingPlaceholders };
+}
+
+// Human-readable lines for a remapMapping() result
+function describeRemap({ remapped, missing, missingConditions = [], missingPlaceholders }) {
+    return [
+        ...remapped.map(r => `#${r.svgId}: column "${r.from}" not found, using "${r.to}"`),
+        ...missing.map(m => `#${m.svgId}: column "${m.header}" not found, element left unmapped`),
+        ...missingConditions.map(c => `#${c.svgId}: condition uses column "${c.column}", which is not in the CSV`),
+        ...missingPlaceholders.map(source => `{{${source}}}: no matching CSV column`)
+    ];
+}
+
+// What a job needs from a saved template: the version's SVG, its stored options, its fonts and its
+// mapping re-applied to the CSV's headers, with warnings for whatever no longer matches
+function loadTemplateForJob(id, version, headers) {
+    const record = getTemplate(id, version);
+    const template = record.current;
+    const remap = remapMapping(template.mapping, headers, template.placeholders);
+    return {
+        id: record.id,
+        name: record.name,
+        version: template.version,
+        svgPath: getTemplateSvgPath(id, template.version),
+        options: template.options,
+        fonts: getTemplateFontPaths(id),
+        mapping: remap.mapping,
+        warnings: describeRemap(remap)
+    };
+}
+
+module.exports = {
+    TemplateError,
+    getTemplateText,
+    listTemplates,
+    getTemplate,
+    getTemplateSvgPath,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    listTemplateFonts,
+    addTemplateFont,
+    deleteTemplateFont,
+    remapMapping,
+    describeRemap,
+    loadTemplateForJob
+};
@@ -0,0 +1,300 @@
+// --- TEXT FITTING ---
+// Keeps substituted text inside a fit box instead of letting it run off the banner.
+// Every changed <text> is checked against its box and, if it overflows, handled by its policy:
+//   shrink    scale the font down (to data-fit-min-size, default half the original), then ellipsize
+//   wrap      break into lines of <tspan>s (data-fit-lines, default 2), ellipsizing the last one
+//   ellipsis  cut the text at a grapheme boundary and add "…"
+//   fail      fail the row
+//   none      leave it as it is
+// Policies come from data-fit on the <text>, falling back to the job's default.
+//
+// The box is, in order: data-fit-box="x,y,width,height", data-fit-box="#rectId", a rect whose id
+// is the text's id + "-box" (or "_box"), or else the room between the text's anchor and the
+// edge of the SVG (so a value longer than the placeholder is only fitted once it would run off).
+//
+// Like lib/expressions.js this is loaded both by Node (to validate job options) and into the
+// render page (addScriptTag), where it exposes itself as window.TextFit.
+(function (root) {
+    const POLICIES = ['shrink', 'wrap', 'ellipsis', 'fail', 'none'];
+    const ELLIPSIS = '…';
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const TOLERANCE = 0.5; // px, so sub-pixel rounding never counts as overflow
+
+    // Job-wide defaults: { policy, minFontSize, lines, lineHeight }. Throws on anything unusable.
+    function normalizeFitOptions(options = {}) {
+        const policy = options.policy || 'shrink';
+        if (!POLICIES.includes(policy)) throw new Error(`Text fit: unknown policy "${policy}" (use ${POLICIES.join(', ')})`);
+
+        const toPositive = (value, field) => {
+            if (value === undefined || value === null || value === '') return undefined;
+            const n = Number(value);
+            if (!Number.isFinite(n) || n <= 0) throw new Error(`Text fit: ${field} must be a positive number`);
+            return n;
+        };
+
+        return {
+            policy,
+            minFontSize: toPositive(options.minFontSize, 'minFontSize'),
+            lines: Math.round(toPositive(options.lines, 'lines') || 2),
+            lineHeight: toPositive(options.lineHeight, 'lineHeight') || 1.2
+        };
+    }
+
+    // User-perceived characters, so "मेथी" never loses a matra or half a conjunct
+    function graphemes(text) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            return Array.from(new Intl.Segmenter('hi', { granularity: 'grapheme' }).segment(text), s => s.segment);
+        }
+        return Array.from(text);
+    }
+
+    function textNodes(el) {
+        const walker = el.ownerDocument.createTreeWalker(el, 4 /* NodeFilter.SHOW_TEXT */);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        return nodes;
+    }
+
+    function readOptions(el, defaults) {
+        const number = (attr) => {
+            const n = parseFloat(el.getAttribute(attr));
+            return Number.isFinite(n) && n > 0 ? n : undefined;
+        };
+
+        const policy = el.getAttribute('data-fit') || defaults.policy;
+        if (!POLICIES.includes(policy)) throw new Error(`unknown fit policy "${policy}"`);
+
+        return {
+            policy,
+            minFontSize: number('data-fit-min-size') || defaults.minFontSize,
+            lines: Math.round(number('data-fit-lines') || defaults.lines),
+            lineHeight: number('data-fit-line-height') || defaults.lineHeight
+        };
+    }
+
+    function resolveBox(el, originalBox) {
+        const doc = el.ownerDocument;
+        const attr = (el.getAttribute('data-fit-box') || '').trim();
+
+        if (attr && !attr.startsWith('#')) {
+            const [x, y, width, height] = attr.split(/[\s,]+/).map(Number);
+            if ([x, y, width, height].every(Number.isFinite)) return { x, y, width, height, explicit: true };
+            throw new Error(`data-fit-box "${attr}" should be "x,y,width,height" or "#rectId"`);
+        }
+
+        let companion = null;
+        if (attr) {
+            companion = doc.getElementById(attr.slice(1));
+            if (!companion) throw new Error(`fit box ${attr} not found`);
+        } else if (el.id) {
+            companion = doc.getElementById(`${el.id}-box`) || doc.getElementById(`${el.id}_box`);
+        }
+
+        if (companion) {
+            const { x, y, width, height } = companion.getBBox();
+            return { x, y, width, height, explicit: true };
+        }
+        return svgBound(el, originalBox);
+    }
+
+    // No box of its own: from the text's anchor to the SVG's edge (both edges when centred)
+    function svgBound(el, originalBox) {
+        const svg = el.ownerSVGElement;
+        const viewBox = svg.viewBox && svg.viewBox.baseVal;
+        const left = viewBox && viewBox.width ? viewBox.x : 0;
+        const right = viewBox && viewBox.width ? viewBox.x + viewBox.width : svg.width.baseVal.value;
+        const start = originalBox.x;
+        const end = originalBox.x + originalBox.width;
+
+        let x, width;
+        switch (getComputedStyle(el).textAnchor) {
+            case 'end':
+                x = left;
+                width = end - left;
+                break;
+            case 'middle': {
+                const half = Math.min(start + originalBox.width / 2 - left, right - start - originalBox.width / 2);
+                x = start + originalBox.width / 2 - half;
+                width = half * 2;
+                break;
+            }
+            default:
+                x = start;
+                width = right - start;
+        }
+        return { x, y: originalBox.y, width: Math.max(width, originalBox.width), height: originalBox.height, explicit: false };
+    }
+
+    function overflows(el, box) {
+        return el.getBBox().width > box.width + TOLERANCE;
+    }
+
+    // Trims graphemes off the end of the text (last text node first) until it fits, then adds "…"
+    function ellipsize(el, box) {
+        const nodes = textNodes(el).filter(node => node.data.trim());
+
+        for (let i = nodes.length - 1; i >= 0 && overflows(el, box); i--) {
+            const node = nodes[i];
+            const parts = graphemes(node.data);
+            const keep = (count) => { node.data = parts.slice(0, count).join('').trimEnd() + ELLIPSIS; };
+
+            // Largest number of graphemes that still fits
+            let low = 0;
+            let high = parts.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                keep(mid);
+                if (overflows(el, box)) high = mid - 1;
+                else low = mid;
+            }
+            keep(low);
+
+            // Not even "…" fits in this node: drop it and cut into the one before
+            if (low === 0 && overflows(el, box) && i > 0) node.data = '';
+        }
+    }
+
+    function shrink(el, box, options) {
+        const nodes = [el, ...el.querySelectorAll('tspan')].map(node => ({
+            node,
+            size: parseFloat(getComputedStyle(node).fontSize)
+        }));
+        const baseSize = nodes[0].size;
+        const minRatio = Math.min(1, (options.minFontSize || baseSize / 2) / baseSize);
+
+        // Width isn't perfectly proportional to font size (hinting, kerning), so converge in a few steps
+        let ratio = 1;
+        for (let attempt = 0; attempt < 6 && overflows(el, box) && ratio > minRatio; attempt++) {
+            ratio = Math.max(minRatio, ratio * (box.width / el.getBBox().width) * 0.99);
+            nodes.forEach(({ node, size }) => { node.style.fontSize = `${size * ratio}px`; });
+        }
+
+        if (overflows(el, box)) ellipsize(el, box);
+    }
+
+    // Re-flows the text into lines of <tspan>s at the text's own x. Inner tspan styling is
+    // replaced by the <text> element's, since words move between lines.
+    function wrap(el, box, options) {
+        const doc = el.ownerDocument;
+        const fontSize = parseFloat(getComputedStyle(el).fontSize);
+        const lineHeight = fontSize * options.lineHeight;
+
+        let maxLines = Math.max(1, options.lines);
+        if (box.explicit) maxLines = Math.max(1, Math.min(maxLines, Math.floor(box.height / lineHeight)));
+
+        const positioned = el.hasAttribute('x') ? el : el.querySelector('tspan[x]');
+        const x = positioned ? positioned.getAttribute('x') : String(box.x);
+        const y = positioned && positioned.getAttribute('y');
+        const text = el.textContent.replace(/\s+/g, ' ').trim();
+
+        while (el.firstChild) el.removeChild(el.firstChild);
+
+        const lines = [];
+        const addLine = () => {
+            const tspan = doc.createElementNS(SVG_NS, 'tspan');
+            tspan.setAttribute('x', x);
+            if (lines.length === 0) {
+                if (y !== null && positioned !== el) tspan.setAttribute('y', y);
+            } else {
+                tspan.setAttribute('dy', lineHeight);
+            }
+            el.appendChild(tspan);
+            lines.push(tspan);
+            return tspan;
+        };
+        const fits = (tspan) => tspan.getComputedTextLength() <= box.width + TOLERANCE;
+
+        let line = addLine();
+        const words = text.split(' ');
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            const previous = line.textContent;
+            line.textContent = previous ? `${previous} ${word}` : word;
+            if (fits(line)) continue;
+
+            if (lines.length >= maxLines) {
+                // Out of lines: the rest goes on the last line and gets ellipsized below
+                line.textContent = [line.textContent, ...words.slice(i + 1)].join(' ');
+                break;
+            }
+            if (previous) {
+                line.textContent = previous;
+                line = addLine();
+                line.textContent = word;
+                if (fits(line)) continue;
+            }
+
+            // A single word wider than the box: break it between graphemes
+            line.textContent = '';
+            for (const part of graphemes(word)) {
+                const before = line.textContent;
+                line.textContent = before + part;
+                if (!fits(line) && before && lines.length < maxLines) {
+                    line.textContent = before;
+                    line = addLine();
+                    line.textContent = part;
+                }
+            }
+        }
+
+        const last = lines[lines.length - 1];
+        if (!fits(last)) ellipsize(last, box);
+    }
+
+    // Fits one <text> into its box. Returns an error message when the row should fail, else null.
+    function fitText(el, originalBox, defaults) {
+        let options, box;
+        try {
+            options = readOptions(el, defaults);
+            if (options.policy === 'none') return null;
+            box = resolveBox(el, originalBox);
+        } catch (e) {
+            return e.message;
+        }
+
+        if (!overflows(el, box)) return null;
+        const width = el.getBBox().width;
+
+        switch (options.policy) {
+            case 'fail':
+                return `text is ${Math.ceil(width)}px wide but its box is ${Math.floor(box.width)}px`;
+            case 'ellipsis':
+                ellipsize(el, box);
+                break;
+            case 'wrap':
+                wrap(el, box, options);
+                break;
+            default:
+                shrink(el, box, options);
+        }
+        return null;
+    }
+
+    // Dry run of fitText: reports what its policy would do to el without changing anything.
+    // Returns null when the text fits (or the policy is none), else { policy, width, boxWidth, error }.
+    function checkFit(el, originalBox, defaults) {
+        let options, box;
+        try {
+            options = readOptions(el, defaults);
+            if (options.policy === 'none') return null;
+            box = resolveBox(el, originalBox);
+        } catch (e) {
+            return { policy: 'fail', error: e.message };
+        }
+
+        if (!overflows(el, box)) return null;
+        const width = Math.ceil(el.getBBox().width);
+        const boxWidth = Math.floor(box.width);
+        return {
+            policy: options.policy,
+            width,
+            boxWidth,
+            error: options.policy === 'fail' ? `text is ${width}px wide but its box is ${boxWidth}px` : null
+        };
+    }
+
+    const api = { POLICIES, normalizeFitOptions, fitText, checkFit, graphemes };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.TextFit = api;
+})(typeof window !== 'undefined' ? window : this);
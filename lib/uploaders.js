@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- UPLOAD PROVIDERS ---
+// Every provider exposes upload(filePath, fileName, context) and resolves to the public URL
+// of the uploaded file ('' when there is nothing to link to). Destinations and credentials
+// come from env vars or upload.config.json; a job only picks which provider runs.
+
+const CONFIG_PATH = process.env.UPLOAD_CONFIG || path.join(__dirname, '..', 'upload.config.json');
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf',
+    '.svg': 'image/svg+xml'
+};
+
+function getMimeType(fileName) {
+    return MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+// A JSON env var (undefined when unset); throws a config error naming the variable when it won't parse
+function readJsonEnv(name) {
+    const value = process.env[name];
+    if (!value) return undefined;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        throw new Error(`${name} is not valid JSON: ${e.message}`);
+    }
+}
+
+function loadConfig() {
+    let fileConfig = {};
+    if (fs.existsSync(CONFIG_PATH)) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+        } catch (e) {
+            console.error(`Could not read ${CONFIG_PATH}:`, e.message);
+        }
+    }
+
+    const env = process.env;
+    const config = {
+        default: env.UPLOAD_PROVIDER,
+        retries: env.UPLOAD_RETRIES,
+        backoffMs: env.UPLOAD_BACKOFF_MS,
+        concurrency: env.UPLOAD_CONCURRENCY,
+        local: {
+            dir: env.UPLOAD_LOCAL_DIR,
+            baseUrl: env.UPLOAD_LOCAL_BASE_URL
+        },
+        http: {
+            url: env.UPLOAD_HTTP_URL,
+            fieldName: env.UPLOAD_HTTP_FIELD,
+            authorization: env.UPLOAD_HTTP_AUTH,
+            headers: readJsonEnv('UPLOAD_HTTP_HEADERS'),
+            urlField: env.UPLOAD_HTTP_URL_FIELD
+        },
+        s3: {
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            prefix: env.S3_PREFIX,
+            publicUrl: env.S3_PUBLIC_URL,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : undefined
+        }
+    };
+
+    // Env vars win over the config file so deployments can override individual values
+    const merge = (fromFile = {}, fromEnv = {}) => {
+        const merged = { ...fromFile };
+        Object.keys(fromEnv).forEach(key => {
+            if (fromEnv[key] !== undefined && fromEnv[key] !== '') merged[key] = fromEnv[key];
+        });
+        return merged;
+    };
+
+    const merged = merge(fileConfig, { default: config.default, retries: config.retries, backoffMs: config.backoffMs, concurrency: config.concurrency });
+    merged.local = merge(fileConfig.local, config.local);
+    merged.http = merge(fileConfig.http, config.http);
+    merged.s3 = merge(fileConfig.s3, config.s3);
+    return merged;
+}
+
+class UploadError extends Error {
+    constructor(message, retryable = true) {
+        super(message);
+        this.name = 'UploadError';
+        this.retryable = retryable;
+    }
+}
+
+const providers = {
+    none: {
+        label: 'No upload',
+        isConfigured: () => true,
+        create: () => async () => ''
+    },
+
+    local: {
+        label: 'Local directory',
+        isConfigured: (config) => Boolean(config.local.dir),
+        create: (config) => async (filePath, fileName, context) => {
+            const key = context.sessionId ? path.join(context.sessionId, fileName) : fileName;
+            const destination = path.join(path.resolve(config.local.dir), key);
+            await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+            await fs.promises.copyFile(filePath, destination);
+
+            if (config.local.baseUrl) {
+                return `${config.local.baseUrl.replace(/\/$/, '')}/${key.split(path.sep).map(encodeURIComponent).join('/')}`;
+            }
+            return destination;
+        }
+    },
+
+    http: {
+        label: 'HTTP endpoint',
+        isConfigured: (config) => Boolean(config.http.url),
+        create: (config) => async (filePath, fileName) => {
+            const { url, fieldName = 'file', authorization, headers = {}, urlField = 'url' } = config.http;
+
+            const fileBuffer = await fs.promises.readFile(filePath);
+            const formData = new FormData();
+            formData.append(fieldName, new Blob([fileBuffer], { type: getMimeType(fileName) }), path.basename(fileName));
+
+            const requestHeaders = { accept: '*/*', ...headers };
+            if (authorization) requestHeaders.authorization = authorization;
+
+            let response;
+            try {
+                response = await fetch(url, { method: 'POST', headers: requestHeaders, body: formData });
+            } catch (e) {
+                throw new UploadError(`Request to upload endpoint failed: ${e.message}`);
+            }
+
+            if (!response.ok) {
+                // 4xx (other than timeouts and rate limits) won't succeed on a retry
+                const retryable = response.status >= 500 || [408, 429].includes(response.status);
+                throw new UploadError(`Upload endpoint responded with ${response.status} ${response.statusText}`, retryable);
+            }
+
+            // Endpoints either return the URL as plain text (optionally quoted) or as JSON
+            const responseText = await response.text();
+            try {
+                const json = JSON.parse(responseText);
+                if (typeof json === 'string') return json;
+                if (json && json[urlField]) return json[urlField];
+            } catch (e) { }
+            return responseText.trim().replace(/^"|"$/g, '');
+        }
+    },
+
+    s3: {
+        label: 'S3-compatible storage',
+        isConfigured: (config) => Boolean(config.s3.bucket),
+        create: (config) => {
+            // Loaded lazily so the SDK is only pulled in when S3 is actually used
+            const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+            const { bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, prefix = '', publicUrl, forcePathStyle } = config.s3;
+
+            const client = new S3Client({
+                region,
+                endpoint,
+                forcePathStyle: forcePathStyle !== undefined ? forcePathStyle : Boolean(endpoint),
+                credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+            });
+
+            return async (filePath, fileName, context) => {
+                const key = [prefix.replace(/\/$/, ''), context.sessionId, fileName].filter(Boolean).join('/');
+                try {
+                    await client.send(new PutObjectCommand({
+                        Bucket: bucket,
+                        Key: key,
+                        Body: await fs.promises.readFile(filePath),
+                        ContentType: getMimeType(fileName)
+                    }));
+                } catch (e) {
+                    const status = e.$metadata && e.$metadata.httpStatusCode;
+                    throw new UploadError(`S3 upload failed: ${e.message}`, !status || status >= 500 || status === 429);
+                }
+
+                const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+                if (publicUrl) return `${publicUrl.replace(/\/$/, '')}/${encodedKey}`;
+                if (endpoint) return `${endpoint.replace(/\/$/, '')}/${bucket}/${encodedKey}`;
+                return `https://${bucket}.s3.${region}.amazonaws.com/${encodedKey}`;
+            };
+        }
+    }
+};
+
+function getDefaultProvider(config) {
+    if (config.default) return config.default;
+    return providers.http.isConfigured(config) ? 'http' : 'none';
+}
+
+// Lists providers for the UI so it can grey out the ones without configuration
+function listProviders() {
+    const config = loadConfig();
+    const defaultProvider = getDefaultProvider(config);
+    return Object.keys(providers).map(name => ({
+        name,
+        label: providers[name].label,
+        configured: providers[name].isConfigured(config),
+        default: name === defaultProvider
+    }));
+}
+
+// Runs at most `concurrency` tasks at a time; the rest wait in FIFO order
+function createLimiter(concurrency) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        task().then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+async function withRetry(task, { retries, backoffMs, label }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (err) {
+            if (attempt >= retries || err.retryable === false) throw err;
+
+            const delay = backoffMs * Math.pow(2, attempt);
+            console.log(`Upload of ${label} failed (${err.message}). Retrying in ${delay}ms (${attempt + 1}/${retries})...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// options: { provider, retries, backoffMs, concurrency } - anything missing falls back to config
+function createUploader(options = {}) {
+    const config = loadConfig();
+    const name = options.provider || getDefaultProvider(config);
+    const provider = providers[name];
+
+    if (!provider) throw new Error(`Unknown upload provider "${name}"`);
+    if (!provider.isConfigured(config)) throw new Error(`Upload provider "${name}" is not configured`);
+
+    const toNumber = (value, fallback) => {
+        const n = parseInt(value, 10);
+        return Number.isFinite(n) && n >= 0 ? n : fallback;
+    };
+    const retries = toNumber(options.retries, toNumber(config.retries, 2));
+    const backoffMs = toNumber(options.backoffMs, toNumber(config.backoffMs, 500));
+    const concurrency = Math.max(1, toNumber(options.concurrency, toNumber(config.concurrency, 3)));
+
+    const send = provider.create(config);
+    const limit = createLimiter(concurrency);
+
+    return {
+        name,
+        enabled: name !== 'none',
+        upload: (filePath, fileName, context = {}) =>
+            limit(() => withRetry(() => send(filePath, fileName, context), { retries, backoffMs, label: fileName }))
+    };
+}
+
+module.exports = { createUploader, listProviders };
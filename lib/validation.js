@@ -0,0 +1,99 @@
+const { describeFileName } = require('./filenames');
+const { getMappingEntry, getConditionColumns, isShown } = require('./mapping');
+const { isBarcodeFormat } = require('./barcodes');
+
+// --- VALIDATION ---
+// Dry-run checks behind /api/validate, so problems show up before a batch is rendered rather
+// than in its report. Every issue is { element, column, template, message }: element/column are
+// null when not about one, template is the key of the template it's about in jobs with several.
+// Errors fail a row, or every row when found at template level; warnings are worth a look but
+// the banner still renders.
+
+function createValidationReport(rows, getName) {
+    const template = { errors: [], warnings: [] };
+    const rowIssues = rows.map(() => ({ errors: [], warnings: [] }));
+    const issue = ({ element = null, column = null, template = null, message }) => ({ element, column, template, message });
+    const addTemplateIssue = (level, details) => template[level === 'error' ? 'errors' : 'warnings'].push(issue(details));
+    const addRowIssue = (index, level, details) => rowIssues[index][level === 'error' ? 'errors' : 'warnings'].push(issue(details));
+    const hasTemplateErrors = () => template.errors.length > 0;
+
+    return {
+        template: addTemplateIssue,
+        row: addRowIssue,
+        hasTemplateErrors,
+
+        // The same report, for one of a job's templates: issues carry its key, and only rows in
+        // indexes (a Set, when given) are about it
+        forTemplate: (key, indexes = null) => ({
+            template: (level, details) => addTemplateIssue(level, { ...details, template: key }),
+            row: (index, level, details) => {
+                if (!indexes || indexes.has(index)) addRowIssue(index, level, { ...details, template: key });
+            },
+            hasTemplateErrors
+        }),
+
+        // { valid, summary, template, rows, invalidRows }; rows only lists rows with issues
+        result() {
+            const listed = rowIssues
+                .map((issues, index) => ({ index, name: getName(rows[index], index), valid: issues.errors.length === 0, ...issues }))
+                .filter(entry => entry.errors.length > 0 || entry.warnings.length > 0);
+            const invalidRows = listed.filter(entry => !entry.valid).map(entry => entry.index);
+            const warnings = template.warnings.length + listed.reduce((count, entry) => count + entry.warnings.length, 0);
+
+            return {
+                valid: template.errors.length === 0 && invalidRows.length === 0,
+                summary: {
+                    rows: rows.length,
+                    validRows: template.errors.length > 0 ? 0 : rows.length - invalidRows.length,
+                    invalidRows: template.errors.length > 0 ? rows.length : invalidRows.length,
+                    warnings
+                },
+                template,
+                rows: listed,
+                invalidRows
+            };
+        }
+    };
+}
+
+// Mapped elements that aren't in the SVG, and mapped columns or columns read by a condition
+// that aren't in the CSV
+function checkMapping(report, mapping, svgIds, columns) {
+    Object.keys(mapping || {}).forEach(svgId => {
+        const { column } = getMappingEntry(mapping[svgId]);
+        if (!svgIds.includes(svgId)) {
+            report.template('error', { element: `#${svgId}`, column: column || null, message: `Element #${svgId} is not in the template` });
+        }
+        if (column && !columns.includes(column)) {
+            report.template('error', { element: `#${svgId}`, column, message: `Column "${column}" is not in the CSV` });
+        }
+        getConditionColumns(mapping[svgId]).filter(name => !columns.includes(name)).forEach(name => {
+            report.template('error', { element: `#${svgId}`, column: name, message: `Condition uses column "${name}", which is not in the CSV` });
+        });
+    });
+}
+
+// Empty cells in mapped columns: the element quietly keeps the template's own content (or colour,
+// opacity, barcode placeholder, ...). Rows where the element's condition hides it don't count.
+function checkEmptyCells(report, rows, mapping, columns) {
+    Object.keys(mapping || {}).forEach(svgId => {
+        const { column, attribute } = getMappingEntry(mapping[svgId]);
+        if (!columns.includes(column)) return;
+        const kept = isBarcodeFormat(attribute) ? 'placeholder' : attribute;
+        rows.forEach((row, index) => {
+            if (String(row[column] === undefined || row[column] === null ? '' : row[column]).trim()) return;
+            if (!isShown(mapping[svgId], row)) return;
+            report.row(index, 'warning', { element: `#${svgId}`, column, message: `"${column}" is empty, the template's own ${kept} is kept` });
+        });
+    });
+}
+
+// File names (see lib/filenames.js): patterns that fail for a row and names that repeat, which
+// are saved with a suffix instead of overwriting the earlier row's files
+function checkFileNames(report, rows, nameFile) {
+    rows.forEach((row, index) => {
+        describeFileName(nameFile(row, index)).forEach(message => report.row(index, 'warning', { message }));
+    });
+}
+
+module.exports = { createValidationReport, checkMapping, checkEmptyCells, checkFileNames };
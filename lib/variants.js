@@ -0,0 +1,148 @@
+const path = require('path');
+const templates = require('./templates');
+const { normalizeMapping } = require('./mapping');
+
+// --- TEMPLATE VARIANTS ---
+// A job can render every row with several templates, e.g. a 1:1 post, a 9:16 story and a wide
+// web banner, each with its own mapping:
+//   [{ "key": "post", "templateId": "3f9a1c0d2b7e" },
+//    { "key": "story", "file": "story.svg", "mapping": { "title": "product_name" } }]
+// An entry is a saved template (templateId, optionally templateVersion; its saved mapping is
+// re-applied to the data's headers unless the entry brings its own) or an SVG file (an upload's
+// file name, or a path on the command line). The key names the variant's files and report columns.
+//
+// templateBy has each row pick one of them from a column instead, e.g. by category:
+//   { "column": "category", "values": { "Spices": "story", "Atta": "post" }, "default": "web" }
+// A cell picks the template it maps to in values, else the one whose key or name it matches
+// (ignoring case), else the default. A row that picks none fails.
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+// Validates a requested template list. Returns [{ key, templateId, templateVersion, file, mapping }]
+// (mapping null when the entry leaves it to the saved template); throws on bad entries.
+function normalizeTemplateList(requested) {
+    if (!Array.isArray(requested) || requested.length === 0) {
+        throw new Error('Templates must be a list of { key, templateId or file, mapping }');
+    }
+
+    const keys = new Set();
+    return requested.map((entry, i) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error(`Templates: entry ${i + 1} must be { key, templateId or file, mapping }`);
+        }
+        const key = String(entry.key || '').trim();
+        if (!KEY_PATTERN.test(key)) {
+            throw new Error(`Templates: entry ${i + 1}: key must be up to 40 letters, digits, - and _`);
+        }
+        // Keys end up in file names, which some file systems compare case-insensitively
+        if (keys.has(key.toLowerCase())) throw new Error(`Templates: key "${key}" is used twice`);
+        keys.add(key.toLowerCase());
+        if (!entry.templateId === !entry.file) throw new Error(`Templates: "${key}" needs either a templateId or a file`);
+
+        let mapping = null;
+        if (entry.mapping !== undefined && entry.mapping !== null) {
+            try {
+                mapping = normalizeMapping(entry.mapping);
+            } catch (e) {
+                throw new Error(`Templates: "${key}": ${e.message}`);
+            }
+        }
+        return {
+            key,
+            templateId: entry.templateId ? String(entry.templateId) : null,
+            templateVersion: entry.templateVersion || null,
+            file: entry.file ? String(entry.file) : null,
+            mapping
+        };
+    });
+}
+
+// Turns a normalized list into what the engine renders: { templates: [{ key, name, svgPath,
+// mapping, fonts, source }], warnings } (warnings from re-applying saved mappings to the data's
+// headers). findFile(name) gives the path of an entry's SVG file, or null when there's none.
+// Throws a TemplateError (404) for unknown saved templates.
+function resolveTemplateList(list, headers, findFile) {
+    const warnings = [];
+    const resolved = list.map(entry => {
+        if (entry.templateId) {
+            const saved = templates.loadTemplateForJob(entry.templateId, entry.templateVersion, headers);
+            if (!entry.mapping) warnings.push(...saved.warnings.map(message => `${entry.key}: ${message}`));
+            return {
+                key: entry.key,
+                name: saved.name,
+                svgPath: saved.svgPath,
+                mapping: entry.mapping || normalizeMapping(saved.mapping),
+                fonts: saved.fonts,
+                source: { key: entry.key, id: saved.id, version: saved.version, name: saved.name }
+            };
+        }
+
+        const svgPath = findFile(entry.file);
+        if (!svgPath) throw new Error(`Templates: "${entry.key}": no SVG file "${entry.file}"`);
+        return {
+            key: entry.key,
+            name: path.basename(entry.file, path.extname(entry.file)),
+            svgPath,
+            mapping: entry.mapping || {},
+            fonts: [],
+            source: { key: entry.key, file: path.basename(entry.file) }
+        };
+    });
+    return { templates: resolved, warnings };
+}
+
+// Validates templateBy against the job's template keys: a column name, or { column, values,
+// default }. Returns { column, values (lower-cased cell -> key), default } or null when not set.
+function normalizeTemplateBy(requested, keys) {
+    if (requested === undefined || requested === null || requested === '') return null;
+    const options = typeof requested === 'string' ? { column: requested } : requested;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('Template by column must be a column name or { column, values, default }');
+    }
+    const column = String(options.column || '').trim();
+    if (!column) throw new Error('Template by column: column is required');
+    if (options.values !== undefined && (!options.values || typeof options.values !== 'object' || Array.isArray(options.values))) {
+        throw new Error('Template by column: values must be an object of { cell value: template key }');
+    }
+
+    const findKey = (key, label) => {
+        const match = keys.find(k => k.toLowerCase() === String(key).toLowerCase());
+        if (!match) throw new Error(`Template by column: ${label} "${key}", which is not one of the templates (${keys.join(', ')})`);
+        return match;
+    };
+    const values = Object.create(null); // So a "__proto__" cell value is kept like any other
+    Object.keys(options.values || {}).forEach(value => {
+        values[value.trim().toLowerCase()] = findKey(options.values[value], `"${value}" picks`);
+    });
+    return { column, values, default: options.default ? findKey(options.default, 'the default is') : null };
+}
+
+// The templates a row renders with: every one, or the one its templateBy column picks. Throws
+// when the column picks none.
+function pickTemplates(templateBy, list, row) {
+    if (!templateBy) return list;
+    const value = row[templateBy.column];
+    const cell = String(value === undefined || value === null ? '' : value).trim();
+    // Own keys only, as values may have come back from the session's JSON as a plain object
+    const picked = Object.prototype.hasOwnProperty.call(templateBy.values, cell.toLowerCase()) ? templateBy.values[cell.toLowerCase()] : cell;
+    const wanted = picked.toLowerCase();
+    const match = list.find(template => template.key.toLowerCase() === wanted || String(template.name || '').toLowerCase() === wanted)
+        || list.find(template => template.key === templateBy.default);
+    if (!match) {
+        throw new Error(cell ? `"${templateBy.column}" is "${cell}", which picks no template` : `"${templateBy.column}" is empty, so no template is picked`);
+    }
+    return [match];
+}
+
+// Where a row's file for one template and output goes: { key, fileName }. Variants are grouped
+// in a folder per row, <name>/<name>_<template key><output suffix>.<ext>, the row's name repeated
+// so files keep it outside the folder (and providers that upload by base name don't mix rows up).
+// The key (the template's, plus the output's when there are several) names the report columns.
+function getVariantFile(template, output, outputs, safeName) {
+    return {
+        key: outputs.length > 1 ? `${template.key}_${output.key}` : template.key,
+        fileName: `${safeName}/${safeName}_${template.key}${output.suffix}.${output.ext}`
+    };
+}
+
+module.exports = { normalizeTemplateList, resolveTemplateList, normalizeTemplateBy, pickTemplates, getVariantFile };
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const assert = require('assert');
+
+// --- HTTP UPLOAD CHECK ---
+// Runs the HTTP upload provider (lib/uploaders.js) against a stand-in endpoint on localhost:
+// JSON and plain-text responses, the auth and extra headers, retries on 5xx and no retry on 4xx.
+// Nothing leaves the machine. Run with `npm run check:upload`; exits 1 on the first failure.
+
+const received = []; // { fileName, authorization, custom } per request that reached the endpoint
+let failNext = 0; // Requests to answer with a 503 before succeeding again
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('latin1');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const match = body.match(/name="upload"; filename="([^"]+)"/);
+        received.push({ fileName: match ? match[1] : null, authorization: req.headers.authorization, custom: req.headers['x-custom'] });
+
+        if (failNext > 0) {
+            failNext--;
+            res.statusCode = 503;
+            return res.end('busy');
+        }
+        if (!match || match[1].startsWith('reject')) {
+            res.statusCode = 400;
+            return res.end('bad request');
+        }
+        if (match[1].endsWith('.jpg')) return res.end(`"https://cdn.test/${match[1]}"`);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ location: `https://cdn.test/${match[1]}` }));
+    });
+});
+
+async function main() {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // The provider reads its settings when it's created, so they're set before it's loaded
+    process.env.UPLOAD_CONFIG = path.join(os.tmpdir(), 'no-such-upload.config.json');
+    process.env.UPLOAD_HTTP_URL = `http://127.0.0.1:${server.address().port}/upload`;
+    process.env.UPLOAD_HTTP_FIELD = 'upload';
+    process.env.UPLOAD_HTTP_URL_FIELD = 'location';
+    process.env.UPLOAD_HTTP_AUTH = 'Bearer test-token';
+    process.env.UPLOAD_HTTP_HEADERS = JSON.stringify({ 'x-custom': 'yes' });
+    const { createUploader } = require('../lib/uploaders');
+
+    const file = path.join(os.tmpdir(), `upload-check-${process.pid}.png`);
+    fs.writeFileSync(file, Buffer.from('89504e470d0a1a0a', 'hex'));
+    console.log = () => { }; // The retry log lines
+
+    try {
+        const uploader = createUploader({ provider: 'http', retries: 2, backoffMs: 1 });
+
+        assert.strictEqual(await uploader.upload(file, 'png/banner_1.png'), 'https://cdn.test/banner_1.png');
+        assert.deepStrictEqual(received[0], { fileName: 'banner_1.png', authorization: 'Bearer test-token', custom: 'yes' });
+        process.stdout.write('ok - JSON response, auth and extra headers\n');
+
+        assert.strictEqual(await uploader.upload(file, 'jpeg/banner_1.jpg'), 'https://cdn.test/banner_1.jpg');
+        process.stdout.write('ok - plain-text response\n');
+
+        failNext = 2;
+        const before = received.length;
+        assert.strictEqual(await uploader.upload(file, 'png/banner_2.png'), 'https://cdn.test/banner_2.png');
+        assert.strictEqual(received.length - before, 3);
+        process.stdout.write('ok - retried after 503s\n');
+
+        const rejectedAt = received.length;
+        await assert.rejects(uploader.upload(file, 'png/reject.png'), /responded with 400/);
+        assert.strictEqual(received.length - rejectedAt, 1);
+        process.stdout.write('ok - 400 not retried\n');
+    } finally {
+        fs.unlinkSync(file);
+        server.close();
+    }
+}
+
+main().catch(err => {
+    process.stderr.write(`not ok - ${err.message}\n`);
+    server.close();
+    process.exitCode = 1;
+});
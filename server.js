@@ -1,510 +1,597 @@
 const express = require('express');
 const multer = require('multer');
-const puppeteer = require('puppeteer');
 const AdmZip = require('adm-zip');
-const Papa = require('papaparse');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
+const crypto = require('crypto');
+const { createUploader, listProviders } = require('./lib/uploaders');
+const { normalizeOutputs } = require('./lib/outputs');
+const { buildCatalogue, normalizeCatalogueOptions } = require('./lib/catalogue');
+const { normalizeFitOptions } = require('./lib/textfit');
+const { normalizeImageOptions } = require('./lib/images');
+const { normalizeBarcodeOptions } = require('./lib/barcodes');
+const templates = require('./lib/templates');
+const sessions = require('./lib/sessions');
+const { detectFormat, readData, findReportFile } = require('./lib/datasources');
+const { normalizeNamingOptions } = require('./lib/filenames');
+const { normalizeMapping } = require('./lib/mapping');
+const { readPreviousRun, getRetryRows } = require('./lib/incremental');
+const { normalizeTemplateList, resolveTemplateList, normalizeTemplateBy } = require('./lib/variants');
+const {
+    PREVIEW_MAX_ROWS,
+    getBrowserPool,
+    generateBanners,
+    validateBanners,
+    previewBanners,
+    writeReports,
+    getInvalidRows
+} = require('./lib/generator');
 
 const app = express();
-const upload = multer({ dest: 'uploads/' });
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+const upload = multer({ dest: UPLOADS_DIR });
+
+// Ensure directories exist
+if (!fs.existsSync(sessions.SESSIONS_DIR)) fs.mkdirSync(sessions.SESSIONS_DIR, { recursive: true });
+sessions.markInterrupted();
 
 app.use(cors());
+app.use('/temp', express.static(sessions.SESSIONS_DIR, { index: false, dotfiles: 'deny' })); // Serve generated images, never the saved inputs (.input/)
 app.use(express.static('public')); // Serve frontend
-app.use('/temp', express.static(path.join(__dirname, 'public/temp'))); // Serve generated images
+app.get('/js/expressions.js', (req, res) => res.sendFile(require.resolve('./lib/expressions'))); // Shared with the mapping UI
+
+// --- JOBS ---
+// Generation runs in the background. The POST returns straight away and clients follow
+// progress through GET /api/jobs/:jobId or the Server-Sent Events stream.
+const jobs = new Map();
+
+function createJob(sessionId, uploadProvider) {
+    const job = {
+        id: crypto.randomUUID(),
+        sessionId,
+        uploadProvider,
+        catalogue: null, // { status: 'pending' | 'building' | 'ready' | 'failed', file, error } when requested
+        retry: false, // Reruns a finished session's failed rows rather than a whole batch
+        status: 'queued', // queued -> running -> completed | cancelled | failed
+        total: 0,
+        rows: [], // Latest progress event for each CSV row index
+        files: [],
+        error: null,
+        warnings: [], // Job-level notes, e.g. a saved mapping that didn't fully match the CSV
+        stats: null, // Render throughput once the rows are done (see generateBanners)
+        report: null, // report.csv, or .xlsx/.json/... matching the data file
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        controller: new AbortController(),
+        clients: new Set()
+    };
+    jobs.set(job.id, job);
+    return job;
+}
 
-// Ensure directories exist
-const PUBLIC_TEMP_DIR = path.join(__dirname, 'public/temp');
-if (!fs.existsSync(PUBLIC_TEMP_DIR)) fs.mkdirSync(PUBLIC_TEMP_DIR, { recursive: true });
-
-// --- GENERATOR ENGINE ---
-async function generateBanners(svgPath, csvPath, outputDir, mapping) {
-    let svgTemplate = fs.readFileSync(svgPath, 'utf8');
-    const csvContent = fs.readFileSync(csvPath, 'utf8');
-    const rows = Papa.parse(csvContent, { header: true, skipEmptyLines: true }).data;
-
-    // 1. SCALING LOGIC
-    let width = 800, height = 400;
-    const widthMatch = svgTemplate.match(/width="([\d\.]+)"/);
-    const heightMatch = svgTemplate.match(/height="([\d\.]+)"/);
-    const viewBoxMatch = svgTemplate.match(/viewBox="[\d\.\s]+ ([\d\.]+) ([\d\.]+)"/);
-
-    if (widthMatch && heightMatch) {
-        width = parseFloat(widthMatch[1]);
-        height = parseFloat(heightMatch[1]);
-    } else if (viewBoxMatch) {
-        width = parseFloat(viewBoxMatch[1]);
-        height = parseFloat(viewBoxMatch[2]);
-    }
-
-    const scaleFactor = 3;
-    const finalWidth = Math.round(width * scaleFactor);
-    const finalHeight = Math.round(height * scaleFactor);
-
-    svgTemplate = svgTemplate.replace(/width="[^"]+"/, `width="${finalWidth}"`);
-    svgTemplate = svgTemplate.replace(/height="[^"]+"/, `height="${finalHeight}"`);
-
-    // 2. FONT INJECTION
-    const fontCss = `
-        @import url('https://fonts.googleapis.com/css2?family=Mukta:wght@400;600;700&family=Poppins:wght@400;600;700&family=Tiro+Devanagari+Hindi&display=swap');
-        body, html { margin: 0; padding: 0; overflow: hidden; }
-        /* Fonts are now only available, not forced. SVG attributes will win. */
-    `;
-    // Append style instead of prepend to allow SVG internal styles to win if specific
-    if (svgTemplate.includes('</style>')) {
-        svgTemplate = svgTemplate.replace('</style>', `${fontCss}</style>`);
-    } else {
-        svgTemplate = `<style>${fontCss}</style>` + svgTemplate;
-    }
-
-    // Configure for Render deployment with Docker
-    // In Puppeteer Docker image, Chrome is at /usr/bin/google-chrome-stable
-    const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH ||
-        (fs.existsSync('/usr/bin/google-chrome-stable') ? '/usr/bin/google-chrome-stable' :
-            fs.existsSync('/usr/bin/google-chrome') ? '/usr/bin/google-chrome' : undefined);
-
-    let browser;
+function getJobSummary(job) {
+    const counts = { rendered: 0, uploaded: 0, failed: 0, skipped: 0, reused: 0 };
+    let processed = 0;
+    job.rows.forEach(event => {
+        if (!event) return;
+        counts[event.status]++;
+        if (event.done) processed++;
+        if (event.done && event.render === 'reused') counts.reused++;
+    });
+    const finished = ['completed', 'cancelled'].includes(job.status);
+
+    return {
+        jobId: job.id,
+        sessionId: job.sessionId,
+        status: job.status,
+        retry: job.retry,
+        uploadProvider: job.uploadProvider,
+        total: job.total,
+        processed,
+        counts,
+        files: job.files,
+        error: job.error,
+        warnings: job.warnings,
+        stats: job.stats,
+        report: finished ? job.report : null,
+        manifest: finished ? 'manifest.json' : null,
+        catalogue: job.catalogue,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+function broadcast(job, event, data) {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    job.clients.forEach(res => res.write(payload));
+}
+
+// Banners are embedded from the first variant a browser can show as an <img>
+const CATALOGUE_FORMATS = ['png', 'jpeg', 'webp', 'svg'];
+
+async function runCatalogue(job, sessionDir, rows, generatedFiles, catalogueOptions) {
+    job.catalogue.status = 'building';
+    broadcast(job, 'status', getJobSummary(job));
+
+    const items = generatedFiles
+        .sort((a, b) => a.index - b.index)
+        .map(file => {
+            const variant = CATALOGUE_FORMATS.map(format => file.variants.find(v => v.format === format)).find(Boolean);
+            return { name: file.name, row: rows[file.index], file: variant.fileName };
+        });
+
+    try {
+        job.catalogue.file = await getBrowserPool().withPage(page => buildCatalogue(page, sessionDir, items, catalogueOptions));
+        job.catalogue.status = 'ready';
+    } catch (e) {
+        // The banners are still good; only the catalogue is missing
+        console.error("Catalogue error:", e);
+        job.catalogue.status = 'failed';
+        job.catalogue.error = e.message;
+    }
+}
+
+// settings: { uploader, outputs, fit, images, barcodes, naming, catalogueOptions, skipInvalid } as
+// validated by normalizeJobOptions(), plus the session's copies of the inputs: svgPath, data (a
+// data source, see lib/datasources.js) and fonts, or templates and templateBy for a job with several
+// templates (see lib/variants.js). reuseFrom, retry and onlyRows go through to generateBanners
+// (see lib/incremental.js).
+async function runJob(job, mapping, settings) {
+    const { uploader, outputs, fit, images, barcodes, fonts, naming, catalogueOptions, skipInvalid, svgPath, data, templates, templateBy, reuseFrom, retry, onlyRows } = settings;
+    const sessionDir = sessions.getSessionDir(job.sessionId);
+    job.status = 'running';
+    broadcast(job, 'status', getJobSummary(job));
+
+    let sessionFields = {};
     try {
-        browser = await puppeteer.launch({
-            headless: true,
-            executablePath: executablePath,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-web-security',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--disable-software-rasterizer',
-                '--disable-extensions',
-                '--disable-background-timer-throttling',
-                '--disable-backgrounding-occluded-windows',
-                '--disable-renderer-backgrounding',
-                '--disable-features=TranslateUI',
-                '--disable-ipc-flooding-protection',
-                '--memory-pressure-off'
-            ],
-            timeout: 60000,
-            protocolTimeout: 60000
+        sessions.updateSession(job.sessionId, { status: 'running' });
+
+        // Dry run first, then render only the rows that passed it
+        const skipRows = skipInvalid
+            ? getInvalidRows(await validateBanners(svgPath, data, mapping, { fit, images, barcodes, fonts, naming, templates, templateBy }))
+            : new Map();
+
+        const result = await generateBanners(svgPath, data, sessionDir, mapping, {
+            signal: job.controller.signal,
+            uploader,
+            outputs,
+            fit,
+            images,
+            barcodes,
+            fonts,
+            naming,
+            templates,
+            templateBy,
+            skipRows,
+            reuseFrom,
+            retry,
+            onlyRows,
+            onProgress: (event) => {
+                if (event.type === 'start') {
+                    job.total = event.total;
+                    job.warnings.push(...event.warnings); // Fonts the template names that nothing provides
+                    broadcast(job, 'status', getJobSummary(job));
+                    return;
+                }
+
+                job.rows[event.index] = event;
+                // Reused rows that kept their URLs come in already uploaded, without a rendered event first
+                const file = job.files.find(f => f.index === event.index);
+                if (file) {
+                    Object.assign(file, { status: event.status, variants: event.variants, uploadedUrl: event.uploadedUrl, error: event.error });
+                } else if (event.fileName) {
+                    job.files.push({ index: event.index, name: event.name, fileName: event.fileName, variants: event.variants, warnings: event.warnings, status: event.status, render: event.render, uploadedUrl: event.uploadedUrl, error: event.error });
+                }
+                broadcast(job, 'row', event);
+            }
         });
-    } catch (error) {
-        console.error('Failed to launch browser:', error);
-        throw new Error(`Browser launch failed: ${error.message}`);
+
+        job.stats = result.stats;
+        // The session's counts cover the whole manifest, which after a retry is more than this job's rows
+        sessionFields = { rows: result.rows.length, counts: countSessionRows(result.manifest), renderKey: result.renderKey };
+        job.report = await writeReports(sessionDir, result, { jobId: job.id, sessionId: job.sessionId, createdAt: job.createdAt, naming, cancelled: result.cancelled });
+
+        if (job.catalogue && !result.cancelled) {
+            await runCatalogue(job, sessionDir, result.rows, result.generatedFiles, catalogueOptions);
+        }
+
+        job.status = result.cancelled ? 'cancelled' : 'completed';
+    } catch (e) {
+        console.error("Generation error:", e);
+        job.status = 'failed';
+        job.error = e.message;
+    } finally {
+        job.finishedAt = new Date().toISOString();
+        const summary = getJobSummary(job);
+        try {
+            sessions.updateSession(job.sessionId, { status: job.status, rows: job.total, counts: summary.counts, ...sessionFields, error: job.error, finishedAt: job.finishedAt });
+        } catch (e) {
+            console.log("Session update warning:", e.message); // Deleted while the job ran
+        }
+        broadcast(job, 'done', summary);
+        job.clients.forEach(res => res.end());
+        job.clients.clear();
+    }
+}
+
+// Row counts for session.json from a generateBanners() manifest
+function countSessionRows(manifest) {
+    const counts = { rendered: 0, uploaded: 0, failed: 0, skipped: 0, reused: 0 };
+    manifest.forEach(row => {
+        counts[row.status.endsWith('_failed') ? 'failed' : row.status]++;
+        if (row.render === 'reused') counts.reused++;
+    });
+    return counts;
+}
+
+// --- API ENDPOINTS ---
+
+// The uploaded data file (the csv field, whatever its format) as a data source, from its file
+// name or the dataFormat field; sheet picks an Excel sheet by name or number
+function readDataSource(req, file) {
+    return {
+        path: file.path,
+        format: detectFormat(file.originalname, req.body.dataFormat),
+        sheet: req.body.sheet || undefined
+    };
+}
+
+// Reads what /api/generate and /api/validate share: the data file, the SVG (an upload, or a saved
+// template via templateId / templateVersion) and the mapping. A saved template's mapping is
+// re-applied to the data's headers when the request has none, its stored options fill in any
+// option the request leaves out (option(field)) and its fonts come along. A job with several
+// templates sends them in the templates field instead (see readTemplateListInput). Throws with
+// err.status set on bad input.
+async function readJobInput(req) {
+    const files = req.files || {};
+    if ((!files.svg && !req.body.templateId && !req.body.templates) || !files.csv) {
+        throw Object.assign(new Error("Missing files"), { status: 400 });
+    }
+    if (req.body.templateBy && !req.body.templates) {
+        throw Object.assign(new Error("Template by column needs a templates list"), { status: 400 });
+    }
+
+    // Read up front so an unreadable file or a missing sheet is the caller's error (400)
+    let data, columns;
+    try {
+        data = readDataSource(req, files.csv[0]);
+        ({ columns } = await readData(data));
+    } catch (e) {
+        throw Object.assign(e, { status: 400 });
     }
+    if (req.body.templates) return readTemplateListInput(req, files, data, columns);
 
-    let page;
+    let saved = null;
+    let templateSvg;
+    if (!files.svg) {
+        saved = templates.loadTemplateForJob(req.body.templateId, req.body.templateVersion, columns);
+        templateSvg = saved.svgPath;
+    }
+    const stored = saved ? saved.options : {};
+    const option = (field) => req.body[field] ? JSON.parse(req.body[field]) : stored[field];
+
+    // The saved mapping (re-applied to this CSV's headers) unless the request brings its own
+    const warnings = [];
+    let mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+    if (saved && !req.body.mapping) {
+        mapping = saved.mapping;
+        warnings.push(...saved.warnings);
+    }
     try {
-        page = await browser.newPage();
-    } catch (error) {
-        console.error('Failed to create page:', error);
-        await browser.close();
-        throw new Error(`Page creation failed: ${error.message}`);
+        mapping = normalizeMapping(mapping);
+    } catch (e) {
+        throw Object.assign(e, { status: 400 });
     }
-    await page.setViewport({ width: finalWidth, height: finalHeight });
-    await page.setBypassCSP(true);
 
-    page.on('console', msg => console.log('BROWSER LOG:', msg.text()));
+    // What the run was made from, for the session list
+    const source = {
+        template: saved ? { id: saved.id, version: saved.version, name: saved.name } : { file: files.svg[0].originalname },
+        data: { file: files.csv[0].originalname, format: data.format, sheet: data.sheet || null }
+    };
 
-    const generatedFiles = [];
+    // A saved template renders with its uploaded fonts on top of the bundled ones
+    const fonts = saved ? saved.fonts : [];
 
-    for (let i = 0; i < rows.length; i++) {
-        const row = rows[i];
-        const safeName = (row.product_name || `banner_${i + 1}`).replace(/[^a-z0-9\u0900-\u097F]/gi, '_');
-        const fileName = `${safeName}.png`;
-        const outputPath = path.join(outputDir, fileName);
+    return { files, svgPath: templateSvg || files.svg[0].path, data, mapping, option, fonts, warnings, source, templates: null, templateBy: null };
+}
+
+// The templates field (JSON, see lib/variants.js): every entry is a saved template or one of the
+// SVGs uploaded in the svg field, by file name, with its own mapping. templateBy is a column name
+// or JSON { column, values, default }. Saved templates' stored options don't apply here; the job's
+// options are the request's.
+function readTemplateListInput(req, files, data, columns) {
+    let list, templateBy;
+    try {
+        list = normalizeTemplateList(JSON.parse(req.body.templates));
+        const by = req.body.templateBy;
+        templateBy = normalizeTemplateBy(by && by.trim().startsWith('{') ? JSON.parse(by) : by, list.map(entry => entry.key));
+    } catch (e) {
+        throw Object.assign(e, { status: 400 });
+    }
 
-        // Use 'domcontentloaded' (Fast) instead of 'networkidle0' (Slow)
-        await page.setContent(svgTemplate, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    const findFile = (name) => {
+        const file = (files.svg || []).find(f => f.originalname === name);
+        return file ? file.path : null;
+    };
+    let resolved;
+    try {
+        resolved = resolveTemplateList(list, columns, findFile);
+    } catch (e) {
+        throw Object.assign(e, { status: e.status || 400 });
+    }
 
-        // Explicitly wait for Fonts to load
-        await page.evaluate(async () => {
-            await document.fonts.ready;
-        });
+    const option = (field) => req.body[field] ? JSON.parse(req.body[field]) : undefined;
+    const source = {
+        template: { templates: resolved.templates.map(template => template.source) },
+        data: { file: files.csv[0].originalname, format: data.format, sheet: data.sheet || null }
+    };
+    return { files, svgPath: null, data, mapping: null, option, fonts: [], warnings: resolved.warnings, source, templates: resolved.templates, templateBy };
+}
 
-        // Apply Mapping
-        console.log("Applying Mapping:", JSON.stringify(mapping));
-        if (mapping && Object.keys(mapping).length > 0) {
-            await page.evaluate((row, mapping) => {
-                console.log("Inside page.evaluate");
-                Object.keys(mapping).forEach(svgId => {
-                    const csvHeader = mapping[svgId];
-                    const value = row[csvHeader];
-                    console.log(`Processing ID: ${svgId}, Header: ${csvHeader}, Value: ${value}`);
-
-                    if (value) {
-                        const el = document.getElementById(svgId);
-                        if (el) {
-                            console.log(`Element found: ${svgId}`);
-                            const tagName = el.tagName.toLowerCase();
-
-                            if (tagName === 'image') {
-                                el.setAttribute('href', value);
-                                el.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-                            } else if (['rect', 'path', 'circle', 'ellipse'].includes(tagName)) {
-                                // Check if value looks like an image URL
-                                const isImageUrl = value.match(/\.(jpeg|jpg|gif|png|webp)$/i) ||
-                                    value.startsWith('http') ||
-                                    value.startsWith('data:');
-
-                                if (isImageUrl) {
-                                    // Replace shape with image
-                                    const img = document.createElementNS("http://www.w3.org/2000/svg", "image");
-
-                                    // Copy geometry attributes
-                                    if (tagName === 'rect') {
-                                        ['x', 'y', 'width', 'height', 'rx', 'ry'].forEach(attr => {
-                                            if (el.hasAttribute(attr)) img.setAttribute(attr, el.getAttribute(attr));
-                                        });
-                                    } else {
-                                        // For other shapes, use BBox (approximation)
-                                        const bbox = el.getBBox();
-                                        img.setAttribute('x', bbox.x);
-                                        img.setAttribute('y', bbox.y);
-                                        img.setAttribute('width', bbox.width);
-                                        img.setAttribute('height', bbox.height);
-                                    }
-
-                                    img.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-                                    img.setAttribute('href', value);
-                                    img.setAttribute('id', el.id); // Keep the same ID
-
-                                    el.parentNode.replaceChild(img, el);
-                                } else {
-                                    // Assume it's a color fill
-                                    el.setAttribute('fill', value);
-                                }
-                            } else {
-                                // Text Replacement Logic
-                                console.log(`Processing Text Element ${svgId} (Tag: ${tagName})`);
-
-                                // Special handling for Groups (<g>)
-                                if (tagName === 'g') {
-                                    console.log("Element is a Group. Searching for text descendants.");
-                                    console.log(`Group innerHTML: ${el.innerHTML}`); // DEBUG: See what's inside
-                                    const textDescendants = el.querySelectorAll('text, tspan');
-                                    let updated = false;
-
-                                    textDescendants.forEach(child => {
-                                        const currentHTML = child.innerHTML;
-                                        const currentText = child.textContent;
-                                        const specificRegex = new RegExp(`{{\\s*${csvHeader}\\s*}}`, 'g');
-                                        const genericRegex = /{{\s*[^}]+\s*}}/g;
-
-                                        if (currentHTML.match(specificRegex)) {
-                                            console.log(`Specific match in group child ${child.id || child.tagName}! Replacing innerHTML.`);
-                                            child.innerHTML = currentHTML.replace(specificRegex, value);
-                                            updated = true;
-                                        } else if (currentHTML.match(genericRegex)) {
-                                            console.log(`Generic match in group child ${child.id || child.tagName}! Replacing innerHTML.`);
-                                            child.innerHTML = currentHTML.replace(genericRegex, value);
-                                            updated = true;
-                                        } else if (currentText.match(specificRegex)) {
-                                            console.log(`Specific match in group child textContent. Replacing.`);
-                                            child.textContent = currentText.replace(specificRegex, value);
-                                            updated = true;
-                                        } else if (currentText.match(genericRegex)) {
-                                            console.log(`Generic match in group child textContent. Replacing.`);
-                                            child.textContent = currentText.replace(genericRegex, value);
-                                            updated = true;
-                                        }
-                                    });
-
-                                    if (!updated) {
-                                        console.log("No placeholders found in group children. Attempting to set textContent on first text child.");
-                                        // Fallback: If no placeholders found, update the first text element? 
-                                        // Or do nothing? Setting textContent on <g> is BAD.
-                                        // Let's try to find the most relevant text child.
-                                        if (textDescendants.length > 0) {
-                                            textDescendants[0].textContent = value;
-                                        } else {
-                                            console.log("Group has no text children. Cannot update.");
-                                        }
-                                    }
-                                    return; // Done with Group
-                                }
-
-                                // Standard Text Element Logic (text, tspan)
-                                // Use innerHTML to preserve <tspan> and other internal structure
-                                const currentHTML = el.innerHTML;
-                                const specificRegex = new RegExp(`{{\\s*${csvHeader}\\s*}}`, 'g');
-                                const genericRegex = /{{\s*[^}]+\s*}}/g;
-
-                                console.log(`Checking HTML content of ${svgId} for specific regex ${specificRegex}`);
-
-                                if (currentHTML.match(specificRegex)) {
-                                    console.log("Specific match found! Replacing in innerHTML.");
-                                    el.innerHTML = currentHTML.replace(specificRegex, value);
-                                } else if (currentHTML.match(genericRegex)) {
-                                    console.log("Generic match found! Replacing first placeholder in innerHTML.");
-                                    // Replace the first occurrence of any placeholder
-                                    el.innerHTML = currentHTML.replace(genericRegex, value);
-                                } else {
-                                    // Check if it exists in textContent (Fragmented placeholder case)
-                                    const currentText = el.textContent;
-                                    if (currentText.match(specificRegex)) {
-                                        console.log("Specific match found in textContent (Fragmented). Replacing textContent.");
-                                        el.textContent = currentText.replace(specificRegex, value);
-                                    } else if (currentText.match(genericRegex)) {
-                                        console.log("Generic match found in textContent (Fragmented). Replacing textContent.");
-                                        el.textContent = currentText.replace(genericRegex, value);
-                                    } else {
-                                        // Fallback: Pure ID mode.
-                                        const tspans = el.getElementsByTagName('tspan');
-                                        if (tspans.length === 1) {
-                                            console.log("No placeholder, but found single tspan. Updating tspan content.");
-                                            tspans[0].textContent = value;
-                                        } else {
-                                            console.log("No placeholder. Replacing textContent.");
-                                            el.textContent = value;
-                                        }
-                                    }
-                                }
-
-                                // Truncation Logic: Prevent Overflow
-                                try {
-                                    const svg = document.querySelector('svg');
-                                    const svgWidth = svg.viewBox.baseVal.width || parseFloat(svg.getAttribute('width'));
-
-                                    // Only truncate if we can determine dimensions
-                                    if (svgWidth) {
-                                        const bbox = el.getBBox();
-                                        const x = bbox.x;
-                                        const width = bbox.width;
-                                        const margin = 10; // Safety margin
-
-                                        // Collision Detection (Disabled for stability - causing text to disappear)
-                                        // let rightBoundary = svgWidth;
-                                        // const allElements = document.querySelectorAll('text, image, rect, path, circle, ellipse, g');
-
-                                        // console.log(`[Collision] Checking collisions for ${svgId} (x=${x}, width=${width}). Initial Boundary: ${rightBoundary}`);
-
-                                        // allElements.forEach(other => {
-                                        //     if (other === el || other.contains(el) || el.contains(other)) return; // Skip self and hierarchy
-                                        //     if (other.tagName === 'g' && other.children.length === 0) return; // Skip empty groups
-
-                                        //     try {
-                                        //         const otherBBox = other.getBBox();
-
-                                        //         // Check for Vertical Overlap (Are they on the same line?)
-                                        //         const isVerticallyOverlapping = !(bbox.y + bbox.height < otherBBox.y || bbox.y > otherBBox.y + otherBBox.height);
-
-                                        //         // Check if it is strictly to the RIGHT of our text (with a buffer)
-                                        //         // Ignore elements that start at the same X or earlier (likely backgrounds/containers)
-                                        //         const isToTheRight = otherBBox.x > (bbox.x + 5);
-
-                                        //         // Ignore "Container" elements (much larger than the text)
-                                        //         const isContainer = otherBBox.width > (bbox.width * 1.5) && otherBBox.height > (bbox.height * 1.5);
-
-                                        //         if (isVerticallyOverlapping && isToTheRight && !isContainer) {
-                                        //             console.log(`[Collision] Potential neighbor: ${other.id || other.tagName} at x=${otherBBox.x}, y=${otherBBox.y}`);
-                                        //             if (otherBBox.x < rightBoundary) {
-                                        //                 rightBoundary = otherBBox.x;
-                                        //                 console.log(`[Collision] New Boundary set by ${other.id || other.tagName}: ${rightBoundary}`);
-                                        //             }
-                                        //         }
-                                        //     } catch (err) {
-                                        //         // Ignore elements without BBox (defs, etc)
-                                        //     }
-                                        // });
-
-                                        // let availableWidth = rightBoundary - x - margin;
-
-                                        // // Safety Check: If available width is too small (false collision?), default to SVG width
-                                        // if (availableWidth < 30) {
-                                        //     console.log(`[Collision] Available width ${availableWidth} is too small. Ignoring collisions and using full SVG width.`);
-                                        //     availableWidth = svgWidth - x - margin;
-                                        // }
-
-                                        // console.log(`[Collision] Final Available Width: ${availableWidth} (Required: ${width})`);
-
-                                        // Simple Width Calculation
-                                        const availableWidth = svgWidth - x - margin;
-
-                                        console.log(`[Truncation] Checking ${svgId}: Width=${width}, Available=${availableWidth}`);
-
-                                        if (width > availableWidth) {
-                                            console.log(`Text ${svgId} is too long. Truncating...`);
-
-                                            // Find the actual text node/element to truncate
-                                            // If we have tspans, we should truncate the one causing the overflow (or the last one)
-                                            // For simplicity, let's try to find the tspan with the most text or the one we just updated.
-                                            let targetEl = el;
-                                            const tspans = el.querySelectorAll('tspan');
-                                            if (tspans.length > 0) {
-                                                // Assume the text is in the last tspan or the one with content
-                                                // A better heuristic: find the tspan that contains the replacement value?
-                                                // Or just target the longest one?
-                                                // Let's target the last tspan as it's usually the one extending to the right.
-                                                targetEl = tspans[tspans.length - 1];
-                                                console.log(`[Truncation] Targeting tspan: ${targetEl.id || 'anonymous'}`);
-                                            }
-
-                                            let text = targetEl.textContent;
-                                            let loopCount = 0;
-
-                                            // Iteratively remove characters until the PARENT fits (or the target fits?)
-                                            // We must check the PARENT's BBox because that's what matters for the layout.
-                                            while (el.getBBox().width > availableWidth && text.length > 0) {
-                                                text = text.slice(0, -1);
-                                                targetEl.textContent = text + '...';
-                                                loopCount++;
-                                                if (loopCount % 10 === 0) console.log(`[Truncation] Loop ${loopCount}: "${targetEl.textContent}" Width=${el.getBBox().width}`);
-                                            }
-                                            console.log(`[Truncation] Final Result: "${targetEl.textContent}" Width=${el.getBBox().width}`);
-                                        }
-                                    }
-                                } catch (e) {
-                                    console.log("Error in truncation:", e);
-                                }
-                            }
-                        }
-                    }
-                });
-            }, row, mapping);
+// Job options, by request field (JSON). The session keeps them as sent, so a retry validates them again.
+// Upload destination for this job: { provider, retries, backoffMs, concurrency }
+// Output variants: [{ format, quality, width, height, scale, transparent }]
+// Text fitting defaults: { policy, minFontSize, lines, lineHeight }
+// Images: { fit, position, timeoutMs, onError, fallback } (or a fallbackImage file)
+// Barcodes: { errorCorrection, quietZone, text }
+// Catalogue (optional): { pageSize, orientation, columns, rows, margin, groupBy, cover, ... }
+// File names: { pattern } such as "{{sku}}_{{product_name}}"
+const JOB_OPTIONS = ['upload', 'outputs', 'fit', 'images', 'barcodes', 'catalogue', 'naming'];
+
+// Validates the job options read through option(field). Throws on bad input.
+function normalizeJobOptions(option) {
+    const settings = {
+        uploader: createUploader(option('upload') || {}),
+        outputs: normalizeOutputs(option('outputs')),
+        fit: normalizeFitOptions(option('fit') || {}),
+        images: normalizeImageOptions(option('images') || {}),
+        barcodes: normalizeBarcodeOptions(option('barcodes') || {}),
+        naming: normalizeNamingOptions(option('naming') || {}),
+        catalogueOptions: undefined
+    };
+    if (option('catalogue')) {
+        settings.catalogueOptions = normalizeCatalogueOptions(option('catalogue'));
+        if (!settings.outputs.some(output => CATALOGUE_FORMATS.includes(output.format))) {
+            throw new Error("Catalogue needs a PNG, JPEG, WebP or SVG output to lay out");
         }
+    }
+    return settings;
+}
 
-        // Wait for image load logic if any images were updated
-        try {
-            await page.evaluate(async () => {
-                const images = Array.from(document.querySelectorAll('image'));
-                await Promise.all(images.map(img => {
-                    if (img.href.baseVal && !img.href.baseVal.startsWith('data:')) {
-                        return new Promise(r => {
-                            const i = new Image();
-                            i.onload = r;
-                            i.onerror = r;
-                            i.src = img.href.baseVal;
-                        });
-                    }
-                    return Promise.resolve();
-                }));
-            });
-        } catch (e) { }
-
-        await page.screenshot({ path: outputPath });
-        generatedFiles.push({ name: row.product_name || `Banner ${i + 1}`, fileName: fileName });
-    }
-
-    // Upload Images and Collect Data
-    const reportData = [];
-
-    for (let i = 0; i < generatedFiles.length; i++) {
-        const fileInfo = generatedFiles[i];
-        const filePath = path.join(outputDir, fileInfo.fileName);
-
-        console.log(`Uploading ${fileInfo.fileName}...`);
+// The session's saved input as runJob settings (see sessions.saveSessionInput)
+function readSessionJob(input) {
+    const settings = normalizeJobOptions(field => input.job.options[field]);
+    if (input.files.fallbackImage) settings.images.fallbackFile = input.files.fallbackImage;
+    return {
+        ...settings,
+        skipInvalid: input.job.skipInvalid,
+        svgPath: input.files.svg,
+        data: { path: input.files.data, ...input.job.data },
+        fonts: input.files.fonts,
+        templates: input.job.templates ? input.job.templates.map((template, n) => ({
+            ...template,
+            svgPath: input.files.templates[n].svg,
+            fonts: input.files.templates[n].fonts
+        })) : null,
+        templateBy: input.job.templateBy || null
+    };
+}
+
+// Deletes everything multer stored for a request
+function discardUploads(req) {
+    Object.values(req.files || {}).forEach(list => list.forEach(file => fs.unlink(file.path, () => {})));
+}
+
+// 1. Generate (starts a background job)
+app.post('/api/generate', upload.fields([{ name: 'svg' }, { name: 'csv' }, { name: 'fallbackImage' }]), async (req, res) => {
+    try {
+        let input;
         try {
-            const uploadUrl = await uploadToApi(filePath, fileInfo.fileName);
-            fileInfo.uploadedUrl = uploadUrl;
-            console.log(`Uploaded: ${uploadUrl}`);
-        } catch (err) {
-            console.error(`Upload failed for ${fileInfo.fileName}:`, err.message);
-            fileInfo.uploadedUrl = "UPLOAD_FAILED";
+            input = await readJobInput(req);
+        } catch (e) {
+            discardUploads(req);
+            return res.status(e.status || 400).json({ success: false, error: e.message });
         }
+        const { files, svgPath, data, mapping, option, fonts, warnings, source, templates: templateList, templateBy } = input;
 
-        // Find original row data
-        // generatedFiles indexes might match rows if 1:1. 
-        // generateBanners iterates rows i=0..length.
-        // generatedFiles.push matches this order.
-        const originalRow = rows[i];
-
-        // Merge original row with new data
-        reportData.push({
-            ...originalRow,
-            generated_file: fileInfo.fileName,
-            uploaded_url: fileInfo.uploadedUrl
+        // skipInvalid: dry-run the job first and leave out rows with errors (see /api/validate)
+        // reuse=false: render every row, even ones an earlier session already has (see lib/incremental.js)
+        let settings;
+        try {
+            settings = normalizeJobOptions(option);
+        } catch (e) {
+            discardUploads(req);
+            return res.status(400).json({ success: false, error: e.message });
+        }
+        const skipInvalid = req.body.skipInvalid === 'true';
+        const reuse = req.body.reuse !== 'false';
+
+        // Session folder under a random id (see lib/sessions.js). It keeps a copy of the inputs, so
+        // the uploads can go and the session can be retried later.
+        const { id: sessionId } = sessions.createSession(source);
+        const saved = sessions.saveSessionInput(sessionId, {
+            svg: svgPath,
+            data: data.path,
+            fallbackImage: files.fallbackImage ? files.fallbackImage[0].path : null,
+            fonts,
+            templates: templateList && templateList.map(template => ({ key: template.key, svg: template.svgPath, fonts: template.fonts }))
+        }, {
+            mapping,
+            templates: templateList && templateList.map(({ key, name, mapping: templateMapping }) => ({ key, name, mapping: templateMapping })),
+            templateBy,
+            data: { format: data.format, sheet: data.sheet },
+            options: Object.fromEntries(JOB_OPTIONS.map(field => [field, option(field)])),
+            skipInvalid
         });
+        discardUploads(req);
+
+        const job = createJob(sessionId, settings.uploader.name);
+        if (settings.catalogueOptions) job.catalogue = { status: 'pending', file: null, error: null };
+        job.warnings = warnings;
+
+        runJob(job, mapping, {
+            ...readSessionJob(saved),
+            reuseFrom: reuse ? (renderKey) => sessions.findSessionByRenderKey(renderKey, sessionId) : null
+        }).catch(e => console.error("Job error:", e));
+
+        res.status(202).json({ success: true, jobId: job.id, sessionId, warnings });
+
+    } catch (e) {
+        console.error("Generation error:", e);
+        if (!res.headersSent) discardUploads(req);
+        res.status(500).json({ success: false, error: e.message });
     }
+});
 
-    await browser.close();
-    return { generatedFiles, reportData };
-}
+// 1a. Job Status
+app.get('/api/jobs/:jobId', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job) return res.status(404).json({ success: false, error: "Job not found" });
+
+    res.json({ success: true, ...getJobSummary(job) });
+});
+
+// 1b. Job Progress Stream (Server-Sent Events)
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job) return res.status(404).json({ success: false, error: "Job not found" });
 
-async function uploadToApi(filePath, fileName) {
-    const fileBuffer = fs.readFileSync(filePath);
-    const blob = new Blob([fileBuffer], { type: 'image/png' }); // Node 18+ has Blob
-
-    // In Node < 18 or if Blob issues, we might need 'form-data' package, 
-    // but the environment check showed fetch/FormData/Blob are available (v24).
-
-    const formData = new FormData();
-    formData.append('file', blob, fileName);
-
-    const response = await fetch('https://kc.retailpulse.ai/api/photoUpload?blob=widgets', {
-        method: 'POST',
-        headers: {
-            'accept': '*/*',
-            'accept-language': 'en-US,en;q=0.9',
-            'authorization': 'eyJhbGciOiJSUzI1NiIsImtpZCI6ImJhNjNiNDM2ODM2YTkzOWI3OTViNDEyMmQzZjRkMGQyMjVkMWM3MDAiLCJ0eXAiOiJKV1QifQ.eyJpc3MiOiJhY2NvdW50cy5nb29nbGUuY29tIiwiYXpwIjoiMzQyNjIyMTM0Nzc3LWxvb2Q5b2I2dnNhdHNydW9xdWY3Y3VtbTRxbzc4b3JpLmFwcHMuZ29vZ2xldXNlcmNvbnRlbnQuY29tIiwiYXVkIjoiMzQyNjIyMTM0Nzc3LWxvb2Q5b2I2dnNhdHNydW9xdWY3Y3VtbTRxbzc4b3JpLmFwcHMuZ29vZ2xldXNlcmNvbnRlbnQuY29tIiwic3ViIjoiMTEwNTc5OTcxNDcxMTk4NTAwMjgzIiwiaGQiOiJraXJhbmEuY2x1YiIsImVtYWlsIjoiYW5zaHVsLnNoaXZoYXJlQGtpcmFuYS5jbHViIiwiZW1haWxfdmVyaWZpZWQiOnRydWUsImF0X2hhc2giOiJpX0VmY2R4cTJOdlA5ZXEzM1dmYnVnIiwibmJmIjoxNzU0NDYwODUwLCJuYW1lIjoiQW5zaHVsIFNoaXZoYXJlIiwicGljdHVyZSI6Imh0dHBzOi8vbGgzLmdvb2dsZXVzZXJjb250ZW50LmNvbS9hL0FDZzhvY0tKenVNd0JCUWdhbndwV3pEREhyQlRhNGFqWVVIUFlQMWFNYTNmTWdQWklWUXkwdz1zOTYtYyIsImdpdmVuX25hbWUiOiJBbnNodWwiLCJmYW1pbHlfbmFtZSI6IlNoaXZoYXJlIiwiaWF0IjoxNzU0NDYxMTUwLCJleHAiOjE3NTQ0NjQ3NTAsImp0aSI6IjY0ODIyYjU2MjExYmQ1ZjlmYjU1NzE4MDQ1ZDc2NTQyYzQzZGE2YjYifQ.m8epXZHpMahp-_A0IOZ2xTJ7PbFMx_6uTtXiak-dZSzbxskFya7TPjnzH56zBSGOExEKa9oIXSOvb31pcQ0CQQUwlXGtu76XW8vZRcQ0cj_fYk-zIWuX5ycB3CIxVxziNhSXqHdPzhzUO3W61cDNO4FpGSvu0AkyRfCGkqRDdKW4fnRN9WwyCOxybmOxt-6bq-y2NF0uRY0Ozu3Qi1xpQE4YA-wnk5NejIGkfF9y-klx5jg4oqQV5WKyINd-Yu6swAS9KD7D99hXDg3-QspWJmi4WC7nIVw8KCnJ4U240Vu3qRZ_gGSAiBCOk1iDXDD0-Qixcfmk0bHxHNlu6yJgtg',
-            'origin': 'https://d2r.retailpulse.ai',
-            'priority': 'u=1, i',
-            'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
-            'sec-ch-ua-mobile': '?0',
-            'sec-ch-ua-platform': '"macOS"',
-            'sec-fetch-dest': 'empty',
-            'sec-fetch-mode': 'cors',
-            'sec-fetch-site': 'same-site',
-            'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Safari/537.36'
-        },
-        body: formData
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
     });
+    res.flushHeaders();
 
-    if (!response.ok) {
-        throw new Error(`API responded with ${response.status} ${response.statusText}`);
+    // Send the current state first so late subscribers can catch up
+    res.write(`event: status\ndata: ${JSON.stringify(getJobSummary(job))}\n\n`);
+    if (job.finishedAt) {
+        res.write(`event: done\ndata: ${JSON.stringify(getJobSummary(job))}\n\n`);
+        return res.end();
     }
 
-    // The user said the response is just the string URL, e.g. "https://..."
-    // But usually APIs return JSON. The example showed just the string. 
-    // Let's try text first.
-    const responseText = await response.text();
-    // Remove quotes if present
-    return responseText.replace(/^"|"$/g, '');
-}
+    job.clients.add(res);
+    req.on('close', () => job.clients.delete(res));
+});
 
-// --- API ENDPOINTS ---
+// 1c. Cancel Job (rows already rendered are kept)
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job) return res.status(404).json({ success: false, error: "Job not found" });
 
-// 1. Generate & Preview
-app.post('/api/generate', upload.fields([{ name: 'svg' }, { name: 'csv' }]), async (req, res) => {
-    try {
-        if (!req.files.svg || !req.files.csv) return res.status(400).send("Missing files");
+    if (!job.finishedAt) job.controller.abort();
+    res.json({ success: true, ...getJobSummary(job) });
+});
 
-        const mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+// 1d. Upload Destinations
+app.get('/api/upload-providers', (req, res) => {
+    try {
+        res.json({ success: true, providers: listProviders() });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message }); // Bad upload settings in the environment
+    }
+});
 
-        // Create unique session folder
-        const sessionId = Date.now().toString();
-        const sessionDir = path.join(PUBLIC_TEMP_DIR, sessionId);
-        fs.mkdirSync(sessionDir, { recursive: true });
+// 1e. Validate (dry run: same fields as Generate, nothing is rendered or uploaded)
+app.post('/api/validate', upload.fields([{ name: 'svg' }, { name: 'csv' }, { name: 'fallbackImage' }]), async (req, res) => {
+    try {
+        let input, fit, images, barcodes, naming;
+        try {
+            input = await readJobInput(req);
+            fit = normalizeFitOptions(input.option('fit') || {});
+            images = normalizeImageOptions(input.option('images') || {});
+            barcodes = normalizeBarcodeOptions(input.option('barcodes') || {});
+            naming = normalizeNamingOptions(input.option('naming') || {});
+        } catch (e) {
+            return res.status(e.status || 400).json({ success: false, error: e.message });
+        }
+        if (input.files.fallbackImage) images.fallbackFile = input.files.fallbackImage[0].path;
 
-        const { generatedFiles, reportData } = await generateBanners(req.files.svg[0].path, req.files.csv[0].path, sessionDir, mapping);
+        const { templates: templateList, templateBy } = input;
+        const result = await validateBanners(input.svgPath, input.data, input.mapping, { fit, images, barcodes, fonts: input.fonts, naming, templates: templateList, templateBy });
+        // A saved mapping that didn't fully match this CSV is worth knowing about too
+        result.template.warnings.unshift(...input.warnings.map(message => ({ element: null, column: null, template: null, message })));
+        result.summary.warnings += input.warnings.length;
 
-        // Generate CSV Report
-        const csvReport = Papa.unparse(reportData);
-        const reportPath = path.join(sessionDir, 'report.csv');
-        fs.writeFileSync(reportPath, csvReport);
+        // With several templates, the mapping each one renders with
+        const mappings = templateList ? { templates: templateList.map(({ key, name, mapping }) => ({ key, name, mapping })) } : { mapping: input.mapping };
+        res.json({ success: true, ...mappings, ...result });
+    } catch (e) {
+        console.error("Validation error:", e);
+        res.status(500).json({ success: false, error: e.message });
+    } finally {
+        discardUploads(req);
+    }
+});
 
-        // Cleanup uploads
+// 1f. Preview (same fields as Generate plus index and count; small JPEGs of a few rows). With
+// several templates, the template field picks the one to preview by key (the first by default).
+app.post('/api/preview', upload.fields([{ name: 'svg' }, { name: 'csv' }, { name: 'fallbackImage' }]), async (req, res) => {
+    try {
+        let input, fit, images, barcodes, index, count, template;
         try {
-            fs.unlinkSync(req.files.svg[0].path);
-            fs.unlinkSync(req.files.csv[0].path);
+            input = await readJobInput(req);
+            if (input.templates) {
+                template = req.body.template ? input.templates.find(t => t.key === req.body.template) : input.templates[0];
+                if (!template) throw new Error(`No template "${req.body.template}" in the templates list`);
+            }
+            fit = normalizeFitOptions(input.option('fit') || {});
+            images = normalizeImageOptions(input.option('images') || {});
+            barcodes = normalizeBarcodeOptions(input.option('barcodes') || {});
+            index = req.body.index === undefined ? 0 : Number(req.body.index);
+            count = req.body.count === undefined ? 1 : Number(req.body.count);
+            if (!Number.isInteger(index) || index < 0) throw new Error('index must be a row index (0 or more)');
+            if (!Number.isInteger(count) || count < 1 || count > PREVIEW_MAX_ROWS) throw new Error(`count must be between 1 and ${PREVIEW_MAX_ROWS}`);
         } catch (e) {
-            console.log("Cleanup warning:", e.message);
+            return res.status(e.status || 400).json({ success: false, error: e.message });
         }
+        if (input.files.fallbackImage) images.fallbackFile = input.files.fallbackImage[0].path;
 
-        res.json({ success: true, sessionId, files: generatedFiles, report: 'report.csv' });
+        const svgPath = template ? template.svgPath : input.svgPath;
+        const mapping = template ? template.mapping : input.mapping;
+        const fonts = template ? [...input.fonts, ...template.fonts] : input.fonts;
+        const result = await previewBanners(svgPath, input.data, mapping, { fit, images, barcodes, fonts, index, count });
+        res.json({ success: true, mapping, warnings: input.warnings, ...result });
+    } catch (e) {
+        console.error("Preview error:", e);
+        res.status(e.status || 500).json({ success: false, error: e.message });
+    } finally {
+        discardUploads(req);
+    }
+});
+
+// 1g. Render Pool Status (shared browser: open pages, queued jobs, memory, relaunches)
+app.get('/api/render-pool', (req, res) => {
+    res.json({ success: true, ...getBrowserPool().status() });
+});
 
+// 1h. Inspect Data (what the mapping UI needs from a data file: columns, sheets and row names)
+app.post('/api/data/inspect', upload.single('csv'), async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ success: false, error: "Missing files" });
+        const { format, sheet, sheets, columns, rows } = await readData(readDataSource(req, req.file));
+        // Labels for the preview's row selector, the first column standing in for product_name
+        const names = rows.map((row, i) => row.product_name || row[columns[0]] || `Banner ${i + 1}`);
+        res.json({ success: true, format, sheet, sheets, columns, rows: rows.length, names });
     } catch (e) {
-        console.error("Generation error:", e);
-        res.status(500).json({ success: false, error: e.message });
+        res.status(400).json({ success: false, error: e.message });
+    } finally {
+        if (req.file) fs.unlink(req.file.path, () => {});
     }
 });
 
 // 2. Download All (Zip)
 app.get('/api/download-zip/:sessionId', (req, res) => {
-    const sessionDir = path.join(PUBLIC_TEMP_DIR, req.params.sessionId);
-    if (!fs.existsSync(sessionDir)) return res.status(404).send("Session expired or not found");
+    let sessionDir;
+    try {
+        sessionDir = sessions.getSessionDir(req.params.sessionId);
+    } catch (e) {
+        return res.status(e.status || 500).send(e.message);
+    }
 
     const zip = new AdmZip();
-    zip.addLocalFolder(sessionDir);
+    zip.addLocalFolder(sessionDir, '', name => name !== 'session.json' && !name.startsWith('.input'));
     const zipBuffer = zip.toBuffer();
 
     res.set('Content-Type', 'application/zip');
@@ -514,13 +601,284 @@ app.get('/api/download-zip/:sessionId', (req, res) => {
 
 // 3. Download Report
 app.get('/api/download-report/:sessionId', (req, res) => {
-    const reportPath = path.join(PUBLIC_TEMP_DIR, req.params.sessionId, 'report.csv');
-    if (!fs.existsSync(reportPath)) return res.status(404).send("Report not found");
+    try {
+        const reportFile = findReportFile(sessions.getSessionDir(req.params.sessionId));
+        res.download(sessions.getSessionFile(req.params.sessionId, reportFile || 'report.csv', "Report"), `upload_${reportFile}`);
+    } catch (e) {
+        res.status(e.status || 500).send(e.message);
+    }
+});
+
+// 3a. Download Manifest (JSON)
+app.get('/api/download-manifest/:sessionId', (req, res) => {
+    try {
+        res.download(sessions.getSessionFile(req.params.sessionId, 'manifest.json', "Manifest"), 'manifest.json');
+    } catch (e) {
+        res.status(e.status || 500).send(e.message);
+    }
+});
+
+// 4. Download Catalogue (PDF)
+app.get('/api/download-catalogue/:sessionId', (req, res) => {
+    try {
+        res.download(sessions.getSessionFile(req.params.sessionId, 'catalogue.pdf', "Catalogue"), 'catalogue.pdf');
+    } catch (e) {
+        res.status(e.status || 500).send(e.message);
+    }
+});
+
+// 5. Template Library
+// Saved templates: the SVG, its detected elements, a mapping and default job options, versioned.
+// options holds the same JSON fields /api/generate takes: { upload, outputs, fit, images, barcodes, naming, catalogue }
+
+// Parses the JSON fields of a template save and checks the options the way /api/generate will
+function readTemplateFields(req) {
+    const data = {};
+    try {
+        if (req.body.mapping !== undefined) data.mapping = JSON.parse(req.body.mapping);
+        if (req.body.options !== undefined) data.options = JSON.parse(req.body.options);
+    } catch (e) {
+        throw new templates.TemplateError(`Invalid JSON: ${e.message}`);
+    }
+    if (data.mapping !== undefined) {
+        try {
+            data.mapping = normalizeMapping(data.mapping);
+        } catch (e) {
+            throw new templates.TemplateError(e.message);
+        }
+    }
+    if (data.options !== undefined) {
+        const options = data.options || {};
+        try {
+            const outputs = normalizeOutputs(options.outputs);
+            normalizeFitOptions(options.fit || {});
+            normalizeImageOptions(options.images || {});
+            normalizeBarcodeOptions(options.barcodes || {});
+            normalizeNamingOptions(options.naming || {});
+            if (options.catalogue) {
+                normalizeCatalogueOptions(options.catalogue);
+                if (!outputs.some(output => CATALOGUE_FORMATS.includes(output.format))) {
+                    throw new Error("Catalogue needs a PNG, JPEG, WebP or SVG output to lay out");
+                }
+            }
+        } catch (e) {
+            throw new templates.TemplateError(e.message);
+        }
+    }
+    if (req.file) data.svg = fs.readFileSync(req.file.path, 'utf8');
+    if (req.body.name !== undefined) data.name = req.body.name;
+    if (req.body.note !== undefined) data.note = req.body.note;
+    return data;
+}
+
+function sendTemplateError(res, e) {
+    if (!e.status) console.error("Template error:", e);
+    res.status(e.status || 500).json({ success: false, error: e.message });
+}
+
+app.get('/api/templates', (req, res) => {
+    try {
+        res.json({ success: true, templates: templates.listTemplates() });
+    } catch (e) {
+        sendTemplateError(res, e);
+    }
+});
+
+app.post('/api/templates', upload.single('svg'), (req, res) => {
+    try {
+        const template = templates.createTemplate(readTemplateFields(req));
+        res.status(201).json({ success: true, template });
+    } catch (e) {
+        sendTemplateError(res, e);
+    } finally {
+        if (req.file) fs.unlink(req.file.path, () => {});
+    }
+});
+
+// ?version=N for an older version (default: the current one)
+app.get('/api/templates/:id', (req, res) => {
+    try {
+        res.json({ success: true, template: templates.getTemplate(req.params.id, req.query.version) });
+    } catch (e) {
+        sendTemplateError(res, e);
+    }
+});
 
-    res.download(reportPath, 'upload_report.csv');
+app.get('/api/templates/:id/versions/:version/svg', (req, res) => {
+    try {
+        res.type('image/svg+xml').sendFile(templates.getTemplateSvgPath(req.params.id, req.params.version));
+    } catch (e) {
+        sendTemplateError(res, e);
+    }
+});
+
+// Any of svg, mapping, options (which add a version), name, note
+app.put('/api/templates/:id', upload.single('svg'), (req, res) => {
+    try {
+        const template = templates.updateTemplate(req.params.id, readTemplateFields(req));
+        res.json({ success: true, template });
+    } catch (e) {
+        sendTemplateError(res, e);
+    } finally {
+        if (req.file) fs.unlink(req.file.path, () => {});
+    }
+});
+
+app.delete('/api/templates/:id', (req, res) => {
+    try {
+        templates.deleteTemplate(req.params.id);
+        res.json({ success: true });
+    } catch (e) {
+        sendTemplateError(res, e);
+    }
+});
+
+// Fonts for the SVG's font-family names: TTF, OTF, WOFF or WOFF2 files in the fonts field.
+// They belong to the template, so every version renders with them.
+app.post('/api/templates/:id/fonts', upload.array('fonts'), (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) throw new templates.TemplateError('No font files uploaded');
+        let fonts;
+        req.files.forEach(file => { fonts = templates.addTemplateFont(req.params.id, file.path, file.originalname); });
+        res.status(201).json({ success: true, fonts });
+    } catch (e) {
+        sendTemplateError(res, e);
+    } finally {
+        (req.files || []).forEach(file => fs.unlink(file.path, () => {}));
+    }
+});
+
+app.delete('/api/templates/:id/fonts/:file', (req, res) => {
+    try {
+        res.json({ success: true, fonts: templates.deleteTemplateFont(req.params.id, req.params.file) });
+    } catch (e) {
+        sendTemplateError(res, e);
+    }
+});
+
+// Body: { headers: [...], version }. Re-applies the saved mapping to a CSV's headers.
+app.post('/api/templates/:id/remap', express.json(), (req, res) => {
+    try {
+        const headers = req.body && Array.isArray(req.body.headers) ? req.body.headers.map(String) : null;
+        if (!headers) throw new templates.TemplateError('headers must be an array of column names');
+
+        const { mapping, placeholders } = templates.getTemplate(req.params.id, req.body.version).current;
+        const result = templates.remapMapping(mapping, headers, placeholders);
+        res.json({ success: true, ...result, warnings: templates.describeRemap(result) });
+    } catch (e) {
+        sendTemplateError(res, e);
+    }
+});
+
+// 6. Sessions
+// Past runs and their files. Listing every session is for whoever runs the server: when
+// SESSION_ADMIN_TOKEN is set it needs "Authorization: Bearer <token>". A single session only
+// needs its id, which is random and handed out to the client that started the job.
+
+function isAdmin(req) {
+    const token = process.env.SESSION_ADMIN_TOKEN;
+    return !token || req.get('authorization') === `Bearer ${token}`;
+}
+
+// A session with a job still writing to it
+function isActiveSession(sessionId) {
+    return Array.from(jobs.values()).some(job => job.sessionId === sessionId && !job.finishedAt);
+}
+
+// Jobs are only worth keeping while their files are
+function forgetSessionJobs(sessionId) {
+    jobs.forEach((job, id) => {
+        if (job.sessionId === sessionId && job.finishedAt) jobs.delete(id);
+    });
+}
+
+function sendSessionError(res, e) {
+    if (!e.status) console.error("Session error:", e);
+    res.status(e.status || 500).json({ success: false, error: e.message });
+}
+
+app.get('/api/sessions', (req, res) => {
+    if (!isAdmin(req)) return res.status(401).json({ success: false, error: "Listing sessions needs the admin token" });
+    try {
+        const list = sessions.listSessions().map(session => ({ ...session, active: isActiveSession(session.id) }));
+        res.json({ success: true, sessions: list, totalBytes: list.reduce((sum, session) => sum + session.bytes, 0) });
+    } catch (e) {
+        sendSessionError(res, e);
+    }
+});
+
+app.get('/api/sessions/:sessionId', (req, res) => {
+    try {
+        const session = sessions.getSession(req.params.sessionId);
+        res.json({ success: true, session: { ...session, active: isActiveSession(session.id) } });
+    } catch (e) {
+        sendSessionError(res, e);
+    }
+});
+
+// Cancel a running job first; its files are still being written
+app.delete('/api/sessions/:sessionId', (req, res) => {
+    try {
+        sessions.getSessionDir(req.params.sessionId);
+        if (isActiveSession(req.params.sessionId)) {
+            throw new sessions.SessionError("The session's job is still running; cancel it first", 409);
+        }
+        sessions.deleteSession(req.params.sessionId);
+        forgetSessionJobs(req.params.sessionId);
+        res.json({ success: true });
+    } catch (e) {
+        sendSessionError(res, e);
+    }
+});
+
+// 6a. Retry Failed Rows: renders and uploads again the rows of a finished session that failed or
+// never finished, from the inputs the session kept. Its other rows stay as they are. Starts a job
+// like Generate.
+app.post('/api/sessions/:sessionId/retry', (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const sessionDir = sessions.getSessionDir(sessionId);
+        if (isActiveSession(sessionId)) {
+            throw new sessions.SessionError("The session's job is still running", 409);
+        }
+        const input = sessions.readSessionInput(sessionId);
+        const previous = readPreviousRun(sessionDir);
+        if (!previous) throw new sessions.SessionError('The session has no manifest to retry from', 409);
+        const onlyRows = getRetryRows(previous);
+        if (onlyRows.length === 0) throw new sessions.SessionError('The session has no failed rows to retry', 409);
+
+        let settings;
+        try {
+            settings = readSessionJob(input);
+        } catch (e) {
+            throw new sessions.SessionError(e.message, 400);
+        }
+        const job = createJob(sessionId, settings.uploader.name);
+        job.retry = true;
+        if (settings.catalogueOptions) job.catalogue = { status: 'pending', file: null, error: null };
+
+        runJob(job, input.job.mapping, { ...settings, retry: true, onlyRows }).catch(e => console.error("Job error:", e));
+        res.status(202).json({ success: true, jobId: job.id, sessionId, rows: onlyRows.length });
+    } catch (e) {
+        sendSessionError(res, e);
+    }
 });
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`🚀 Banner Generator Server running at http://localhost:${PORT}`);
-});
\ No newline at end of file
+});
+
+// Expired sessions, the oldest ones over the disk quota, and uploads left behind by requests
+// that never finished
+sessions.startSweeper({
+    isActive: isActiveSession,
+    onRemove: forgetSessionJobs,
+    uploadsDir: UPLOADS_DIR
+});
+// The shared browser outlives requests, so it's closed with the server
+['SIGINT', 'SIGTERM', 'SIGHUP'].forEach(signal => process.on(signal, async () => {
+    console.log(`${signal} received, closing the browser...`);
+    await getBrowserPool().close();
+    process.exit(0);
+}));